@@ -13,31 +13,47 @@
     'use strict';
 
     const DEBUG = false;
-    // CSS classes for columns
-    const CLASS_CD = "svmx-grid-cell-gridcolumn-1064"; // Check Description
-    const CLASS_MR = "svmx-grid-cell-gridcolumn-1070"; // Manual Reference
-    const CLASS_CID = "svmx-grid-cell-gridcolumn-1071"; // Check ID
-    const CLASS_TS = "svmx-grid-cell-gridcolumn-1065"; // Task Status
-    const CLASS_TC = "svmx-grid-cell-gridcolumn-1066"; // Technician Comments
 
     let comparisonWindow = null;
     let doc = null;
     let cloudData = [];
+    let gridRowsAsRead = []; // Copy of cloudData as read from the grid, never edited by the comparison
     let taskStatusOptions = [];
     let TARGET_ROWS = [];
+    let currentWorkbook = null; // Last uploaded .xlsx workbook, kept for switching sheets
+    let currentFileTable = null; // File table being compared: {source, headers, rows}
 
     // Constants for messages
     const messages = {
-        fileRequired: "Please select a CSV file to upload.",
-        tableNotFound: "Table with ID 'gridview-1080' not found.",
+        fileRequired: "Please select a CSV or Excel (.xlsx) file to upload.",
+        tableNotFound: "Debrief grid not found on the page.",
+        columnsNotFound: "Required columns not found in the debrief grid:",
+        columnsOnPage: "Columns found:",
         noRows: "Table contains no rows.",
         dataExtractionFailed: "Failed to extract data from table.",
+        rowCountMismatch: "Not all grid rows could be read. Rows read / rows in grid:",
         noDifferences: "No differences found.",
         noMissingInCloud: "No missing rows in Cloud found.",
         noMissingInFile: "No missing rows in File found.",
         noMatching: "No matching rows found.",
+        operationBusy: "Finish or close the current operation first.",
+        noSnapshot: "No saved values to restore for this Work Order.",
+        statusNotRestorable: "An empty Task Status cannot be restored; the fill never clears a Task Status.",
         selectStatus: "Please select a Task Status.",
         copyNotImplemented: "Copy to CLM functionality not yet implemented.",
+        noFileData: "File contains no data",
+        malformedCSV: "The CSV file contains malformed lines:",
+        invalidWorkbook: "The file is not a valid Excel (.xlsx) workbook.",
+        xlsxNotSupported: "This browser cannot read .xlsx files. Please save the workbook as CSV.",
+        sheetNotFound: "Sheet not found in workbook:",
+        databaseNotAvailable: "The browser database is not available, templates cannot be stored.",
+        templateNameRequired: "Please enter a template name.",
+        noTemplateRows: "There are no matching rows to save as a template.",
+        noTemplateSelected: "Please select a template.",
+        invalidTemplateFile: "The file is not a valid template export.",
+        resumeSession: "A comparison saved for this Work Order was found. Resume it?",
+        popupBlocked: "The comparison window was blocked by the pop-up blocker. Open the comparison in a panel docked on this page instead?",
+        sessionOutdated: "The comparison saved for this Work Order was dropped, as the debrief grid has changed since it was saved.",
         doExactly: "Do exactly what was requested, no more, no less."
     };
 
@@ -50,6 +66,7 @@
             WINDOW_OPEN: 'WINDOW_OPEN',
             COPYING: 'COPYING',
             FILLING: 'FILLING',
+            PAUSED: 'PAUSED',
             ERROR: 'ERROR'
         },
         currentState: 'IDLE',
@@ -109,11 +126,14 @@
             }
 
             const validTransitions = {
-                [this.States.IDLE]: [this.States.PROCESSING],
+                // IDLE -> FILLING retries rows that failed verification
+                [this.States.IDLE]: [this.States.PROCESSING, this.States.FILLING],
                 [this.States.PROCESSING]: [this.States.WINDOW_OPEN, this.States.IDLE],
                 [this.States.WINDOW_OPEN]: [this.States.COPYING, this.States.IDLE],
                 [this.States.COPYING]: [this.States.FILLING],
-                [this.States.FILLING]: [this.States.IDLE]
+                // A cancelled fill goes back to the comparison window when it is still open
+                [this.States.FILLING]: [this.States.IDLE, this.States.PAUSED, this.States.WINDOW_OPEN],
+                [this.States.PAUSED]: [this.States.FILLING, this.States.IDLE, this.States.WINDOW_OPEN]
             };
 
             return validTransitions[fromState]?.includes(toState) ?? false;
@@ -130,6 +150,7 @@
                 [this.States.WINDOW_OPEN]: { text: 'Comparison Window Open', disabled: true, style: 'window-open' },
                 [this.States.COPYING]: { text: 'Copying Data...', disabled: true, style: 'processing' },
                 [this.States.FILLING]: { text: 'Filling Rows...', disabled: true, style: 'filling' },
+                [this.States.PAUSED]: { text: 'Filling Paused', disabled: true, style: 'filling' },
                 [this.States.ERROR]: { text: 'Error Occurred', disabled: false, style: 'error' }
             };
 
@@ -140,6 +161,15 @@
             button.className = `fill-rows-button ${config.style}`;
             button.style.opacity = config.disabled ? '0.6' : '1';
             button.style.cursor = config.disabled ? 'not-allowed' : 'pointer';
+
+            // Restoring replays a fill, so it is only available while idle
+            const restoreButton = document.getElementById('restoreValuesButton');
+            if (restoreButton) {
+                const restoreDisabled = this.currentState !== this.States.IDLE;
+                restoreButton.disabled = restoreDisabled;
+                restoreButton.style.opacity = restoreDisabled ? '0.6' : '1';
+                restoreButton.style.cursor = restoreDisabled ? 'not-allowed' : 'pointer';
+            }
         },
 
         // Error handling
@@ -183,6 +213,274 @@
         return new Promise(resolve => setTimeout(resolve, ms));
     }
 
+    const WAIT_TIMEOUT = 5000; // Per step, in ms
+    const STEP_RETRIES = 2;
+    const MUTATION_OPTIONS = { childList: true, subtree: true, attributes: true, characterData: true };
+
+    /**
+     * Creates the error of a failed fill step. The step name is kept, so the fill can report it per row.
+     * @param {string} step - Name of the step, e.g. "Open Task Status editor".
+     * @param {string} detail - What went wrong.
+     * @returns {Error} - Error with step and detail properties.
+     */
+    function stepError(step, detail) {
+        return Object.assign(new Error(`${step}: ${detail}`), { step, detail });
+    }
+
+    /**
+     * Checks whether an element is rendered and not hidden.
+     * @param {HTMLElement|null} element
+     * @returns {boolean}
+     */
+    function isVisible(element) {
+        return !!element && element.isConnected && element.offsetParent !== null;
+    }
+
+    /**
+     * Waits until condition() returns a truthy value, re-checking whenever the DOM under root changes.
+     * @param {function(): *} condition - Checked right away and after every mutation.
+     * @param {{root?: Node, timeout?: number, step?: string}} [options] - step names the wait in the timeout error.
+     * @returns {Promise<*>} - The truthy value returned by condition.
+     */
+    function waitFor(condition, options = {}) {
+        const { root = document.body, timeout = WAIT_TIMEOUT, step = 'Wait for page' } = options;
+
+        return new Promise((resolve, reject) => {
+            const initial = condition();
+            if (initial) {
+                resolve(initial);
+                return;
+            }
+
+            const observer = new MutationObserver(() => {
+                const result = condition();
+                if (result) {
+                    observer.disconnect();
+                    clearTimeout(timer);
+                    resolve(result);
+                }
+            });
+            const timer = setTimeout(() => {
+                observer.disconnect();
+                reject(stepError(step, `timed out after ${timeout} ms.`));
+            }, timeout);
+            observer.observe(root, MUTATION_OPTIONS);
+        });
+    }
+
+    /**
+     * Waits until the DOM under root has not changed for quietTime ms, e.g. after the grid re-renders.
+     * Never rejects; resolves after timeout ms at the latest.
+     * @param {Node} root
+     * @param {number} quietTime
+     * @param {number} [timeout]
+     * @returns {Promise<void>}
+     */
+    function waitForQuiet(root, quietTime, timeout = WAIT_TIMEOUT) {
+        return new Promise(resolve => {
+            const finish = () => {
+                observer.disconnect();
+                clearTimeout(quietTimer);
+                clearTimeout(limitTimer);
+                resolve();
+            };
+            const observer = new MutationObserver(() => {
+                clearTimeout(quietTimer);
+                quietTimer = setTimeout(finish, quietTime);
+            });
+            let quietTimer = setTimeout(finish, quietTime);
+            const limitTimer = setTimeout(finish, timeout);
+            observer.observe(root, MUTATION_OPTIONS);
+        });
+    }
+
+    /**
+     * Runs a fill step, repeating it when it fails with a step error (e.g. an editor that did not open in time).
+     * @param {function(): Promise<*>} action - The step; must be safe to repeat.
+     * @param {number} [retries] - Additional attempts after the first one.
+     * @returns {Promise<*>} - Result of the first successful attempt.
+     * @throws {Error} - The step error of the last attempt, or any other error right away.
+     */
+    async function retryStep(action, retries = STEP_RETRIES) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await action();
+            } catch (error) {
+                if (!error.step || attempt >= retries) {
+                    throw error;
+                }
+                console.warn(`${error.message} Retrying (${attempt + 1}/${retries})...`);
+            }
+        }
+    }
+
+    /**
+     * JSON values kept in the browser's localStorage, namespaced for this script.
+     */
+    const LocalStore = {
+        PREFIX: 'clmFillWoTasks.',
+
+        get(key, fallback = null) {
+            try {
+                const raw = localStorage.getItem(this.PREFIX + key);
+                return raw === null ? fallback : JSON.parse(raw);
+            } catch (error) {
+                console.warn(`Failed to read "${key}" from localStorage:`, error);
+                return fallback;
+            }
+        },
+
+        set(key, value) {
+            try {
+                localStorage.setItem(this.PREFIX + key, JSON.stringify(value));
+                return true;
+            } catch (error) {
+                console.warn(`Failed to save "${key}" to localStorage:`, error);
+                return false;
+            }
+        },
+
+        remove(key) {
+            localStorage.removeItem(this.PREFIX + key);
+        }
+    };
+
+    /**
+     * The script's IndexedDB database, for data too large or too structured for localStorage.
+     * Stores are created in upgrade(); add new ones there and raise VERSION.
+     */
+    const LocalDatabase = {
+        NAME: 'clmFillWoTasks',
+        VERSION: 2,
+        connection: null,
+
+        /**
+         * @returns {Promise<IDBDatabase>}
+         */
+        open() {
+            if (!this.connection) {
+                this.connection = new Promise((resolve, reject) => {
+                    if (!window.indexedDB) {
+                        reject(new Error(messages.databaseNotAvailable));
+                        return;
+                    }
+                    const request = indexedDB.open(this.NAME, this.VERSION);
+                    request.onupgradeneeded = () => this.upgrade(request.result);
+                    request.onsuccess = () => resolve(request.result);
+                    request.onerror = () => reject(request.error);
+                });
+                // Allow another attempt after a failure
+                this.connection.catch(() => {
+                    this.connection = null;
+                });
+            }
+            return this.connection;
+        },
+
+        /**
+         * @param {IDBDatabase} db - Database being upgraded.
+         */
+        upgrade(db) {
+            if (!db.objectStoreNames.contains('templates')) {
+                const templates = db.createObjectStore('templates', { keyPath: 'id' });
+                templates.createIndex('manualReference', 'manualReference');
+            }
+            // Version 2
+            if (!db.objectStoreNames.contains('auditLog')) {
+                const auditLog = db.createObjectStore('auditLog', { keyPath: 'id', autoIncrement: true });
+                auditLog.createIndex('workOrder', 'workOrder');
+            }
+        },
+
+        /**
+         * Runs one request in its own transaction.
+         * @param {string} storeName
+         * @param {IDBTransactionMode} mode
+         * @param {function(IDBObjectStore): IDBRequest} operation
+         * @returns {Promise<*>} - The result of the request once the transaction completed.
+         */
+        async run(storeName, mode, operation) {
+            const db = await this.open();
+            return new Promise((resolve, reject) => {
+                const transaction = db.transaction(storeName, mode);
+                const request = operation(transaction.objectStore(storeName));
+                transaction.oncomplete = () => resolve(request.result);
+                transaction.onerror = () => reject(transaction.error);
+                transaction.onabort = () => reject(transaction.error);
+            });
+        },
+
+        getAll(storeName) {
+            return this.run(storeName, 'readonly', store => store.getAll());
+        },
+
+        getAllByIndex(storeName, indexName, key) {
+            return this.run(storeName, 'readonly', store => store.index(indexName).getAll(key));
+        },
+
+        get(storeName, key) {
+            return this.run(storeName, 'readonly', store => store.get(key));
+        },
+
+        put(storeName, value) {
+            return this.run(storeName, 'readwrite', store => store.put(value));
+        },
+
+        delete(storeName, key) {
+            return this.run(storeName, 'readwrite', store => store.delete(key));
+        }
+    };
+
+    /**
+     * Reads a field of the Work Order record from its form on the debrief page.
+     * Only the field's own input or text is searched, never the rest of the page.
+     * @param {Array<string>} captions - Captions of the field, in order of preference.
+     * @param {RegExp} pattern - Pattern the value must match.
+     * @returns {Array<string>|null} - The match of the first captioned field holding one.
+     */
+    function readRecordField(captions, pattern) {
+        const labels = Array.from(document.querySelectorAll('.svmx-form-item-label, label'));
+        for (const caption of captions) {
+            const label = labels.find(element => element.textContent.replace(/[:*]/g, '').trim() === caption);
+            const field = label && (label.closest('.svmx-form-item, .svmx-field') || label.parentElement);
+            if (!field) {
+                continue;
+            }
+            const input = field.querySelector('input');
+            const match = (input ? input.value : field.textContent).match(pattern);
+            if (match) {
+                return match;
+            }
+        }
+        return null;
+    }
+
+    // Captions of the Work Order's own number field on the debrief page, in order of preference
+    const WORK_ORDER_NUMBER_LABELS = ['Work Order Number', 'Work Order'];
+
+    /**
+     * Returns the number of the Work Order the debrief page shows (e.g. WO-01234567), read from the
+     * record's own field, else the record id in the URL. Used as the key of everything stored per
+     * Work Order, so it is read again on every call: the page may move to another Work Order
+     * without a reload.
+     * @returns {string}
+     */
+    function getWorkOrderNumber() {
+        const pattern = /\bWO-\d+\b/;
+        const field = readRecordField(WORK_ORDER_NUMBER_LABELS, pattern);
+        if (field) {
+            return field[0];
+        }
+        const params = new URLSearchParams(location.search);
+        const recordId = params.get('id') || params.get('woId')
+            || (location.pathname.match(/\/([a-zA-Z0-9]{15}(?:[a-zA-Z0-9]{3})?)(?:\/|$)/) || [])[1];
+        if (recordId) {
+            return recordId;
+        }
+        const title = document.title.match(pattern);
+        return title ? title[0] : location.pathname;
+    }
+
     /**
      * Counts rows in a given table, optionally excluding those with colspan.
      * @param {string} tableId - ID of the table.
@@ -217,115 +515,558 @@
         updateTableCount('missing-cloud-title', missingCloudCount);
 
         const originalCount = countTableRows('data-table');
-        updateOriginalDataCount(originalCount);
+        updateTableCount('original-data-title', originalCount);
     }
 
     /**
-     * Sets the Task Status of a specific cell by clicking and selecting the correct option.
-     * @param {HTMLElement} cell - The cell element to interact with.
-     * @param {string} status - The desired task status to select.
+     * Locates the debrief grid and its columns by header caption at runtime, instead of
+     * relying on auto-generated ExtJS ids such as gridcolumn-1064 or gridview-1080.
      */
-    async function setTaskStatus(cell, status) {
-        cell.click();
-        await wait(30);
+    const GridResolver = {
+        COLUMNS: ["Check Description", "Task Status", "Technician Comments", "Manual Reference", "Check ID"],
+        ROW_SELECTOR: 'tr.svmx-grid-row, tr.svmx-grid-row-alt',
+        FALLBACK_VIEW_ID: 'gridview-1080',
+        RENDER_QUIET_TIME: 150,
+        RENDER_TIMEOUT: 3000,
+
+        /**
+         * Finds the grid holding the debrief columns and builds a cell selector for each of them.
+         * @returns {{view: HTMLElement, columns: Object<string, string>}} - Grid view and cell selector per column caption.
+         * @throws {Error} - When the grid or a required column is missing, listing the captions that were found.
+         */
+        resolve() {
+            const grids = Array.from(document.querySelectorAll('.svmx-grid'));
+            if (grids.length === 0) {
+                grids.push(document.body);
+            }
 
-        const picklistWrapper = document.querySelector("#sfm-picklistcelleditor-1049-triggerWrap");
-        if (!picklistWrapper) {
-            console.error("Task Status dropdown container not found.");
-            return;
-        }
+            // Prefer the grid exposing most of the debrief columns
+            let best = null;
+            grids.forEach(grid => {
+                const headers = this.getLeafHeaders(grid);
+                const found = headers.filter(header => this.COLUMNS.includes(header.caption)).length;
+                if (!best || found > best.found) {
+                    best = { grid, headers, found };
+                }
+            });
 
-        const triggerArrow = picklistWrapper.querySelector(".svmx-form-trigger.svmx-form-arrow-trigger");
-        if (triggerArrow) {
-            triggerArrow.click();
-            await wait(30);
+            const view = best.grid.querySelector('.svmx-grid-view') || document.getElementById(this.FALLBACK_VIEW_ID);
+            if (!view) {
+                throw new Error(messages.tableNotFound);
+            }
 
-            const boundList = document.querySelector(".svmx-boundlist-list-ct");
-            if (!boundList) {
-                console.error("Task Status options list not found.");
-                return;
+            const missing = this.COLUMNS.filter(caption => !best.headers.some(header => header.caption === caption));
+            if (missing.length > 0) {
+                throw this.layoutError(missing, best.headers);
+            }
+
+            const sampleRow = view.querySelector(this.ROW_SELECTOR);
+            const visibleHeaders = best.headers.filter(header => header.element.offsetParent !== null);
+            const columns = {};
+            this.COLUMNS.forEach(caption => {
+                const header = best.headers.find(h => h.caption === caption);
+                // ExtJS tags every cell with the id of its column header
+                let selector = `.svmx-grid-cell-${CSS.escape(header.element.id)}`;
+                if (sampleRow && !sampleRow.querySelector(selector)) {
+                    // Fall back to the column position among the visible headers
+                    const position = visibleHeaders.indexOf(header);
+                    if (position === -1) {
+                        // A hidden column has no cells to read
+                        throw this.layoutError([caption], visibleHeaders);
+                    }
+                    selector = `td:nth-child(${position + 1})`;
+                }
+                columns[caption] = selector;
+            });
+
+            if (DEBUG) {
+                console.log('Resolved grid columns:', view.id, columns);
+            }
+
+            return { view, columns };
+        },
+
+        /**
+         * @param {Array<string>} missing - Captions of the required columns that cannot be read.
+         * @param {Array<{caption: string}>} headers - Headers found on the page.
+         * @returns {Error} - The error listing the missing columns and the captions that were found.
+         */
+        layoutError(missing, headers) {
+            const captions = headers.map(header => header.caption).filter(Boolean);
+            return new Error(
+                `${messages.columnsNotFound} ${missing.join(', ')}.\n` +
+                `${messages.columnsOnPage} ${captions.length ? captions.join(', ') : '(none)'}`
+            );
+        },
+
+        /**
+         * Lists the column headers of a grid that have no sub-columns, with their normalized caption.
+         * @param {HTMLElement} grid - Grid panel element.
+         * @returns {Array<{element: HTMLElement, caption: string}>}
+         */
+        getLeafHeaders(grid) {
+            return Array.from(grid.querySelectorAll('.svmx-column-header'))
+                .filter(header => !header.querySelector('.svmx-column-header'))
+                .map(header => {
+                    const text = header.querySelector('.svmx-column-header-text') || header;
+                    return {
+                        element: header,
+                        caption: text.textContent.replace(/[\s\u00A0]+/g, ' ').trim()
+                    };
+                });
+        },
+
+        /**
+         * Reads the debrief values of a grid row.
+         * @param {HTMLElement} row - Grid row element.
+         * @param {Object<string, string>} columns - Cell selectors returned by resolve().
+         * @returns {Object|null} - Row object keyed by column caption, or null when the row has none of the cells.
+         */
+        readRow(row, columns) {
+            const values = {};
+            let hasCells = false;
+            this.COLUMNS.forEach(caption => {
+                const cell = row.querySelector(columns[caption]);
+                hasCells = hasCells || !!cell;
+                values[caption] = cell ? cell.textContent.trim() : "";
+            });
+            return hasCells ? values : null;
+        },
+
+        /**
+         * Returns the number of records in the grid, including rows that are not rendered.
+         * Read from the Ext store when the page exposes it, otherwise from the paging toolbar
+         * ("Displaying 1 - 25 of 83").
+         * @param {HTMLElement} view - Grid view element.
+         * @returns {number|null} - null when the grid does not report a total.
+         */
+        getTotalCount(view) {
+            try {
+                const store = window.Ext?.getCmp?.(view.id)?.getStore?.();
+                const total = store && (store.getTotalCount() || store.getCount());
+                if (total) {
+                    return total;
+                }
+            } catch (error) {
+                console.warn('Failed to read the grid store:', error);
+            }
+
+            const panel = view.closest('.svmx-grid') || document;
+            for (const text of panel.querySelectorAll('.svmx-toolbar-text')) {
+                const match = text.textContent.match(/\d+\s*-\s*\d+\s+\S+\s+(\d+)\s*$/);
+                if (match) {
+                    return parseInt(match[1], 10);
+                }
+            }
+            return null;
+        },
+
+        /**
+         * Finds a paging toolbar button of the grid panel.
+         * @param {HTMLElement} view - Grid view element.
+         * @param {string} name - Button icon suffix: first, prev, next or last.
+         * @returns {HTMLElement|null} - The enabled button, or null when missing or disabled.
+         */
+        getPagingButton(view, name) {
+            const panel = view.closest('.svmx-grid') || document;
+            const icon = panel.querySelector(`.svmx-tbar-page-${name}`);
+            const button = icon && (icon.closest('.svmx-btn') || icon);
+            if (!button || button.classList.contains('svmx-item-disabled') ||
+                button.classList.contains('svmx-btn-disabled') || button.getAttribute('aria-disabled') === 'true') {
+                return null;
+            }
+            return button;
+        },
+
+        /**
+         * Returns a short fingerprint of the rendered rows, used to detect re-rendering.
+         * @param {HTMLElement} view - Grid view element.
+         * @returns {string}
+         */
+        renderSignature(view) {
+            const rows = view.querySelectorAll(this.ROW_SELECTOR);
+            if (!rows.length) {
+                return '';
+            }
+            return `${rows.length}|${rows[0].textContent}|${rows[rows.length - 1].textContent}`;
+        },
+
+        /**
+         * Waits until the grid has rendered the rows for a new scroll position or page.
+         * Resolves once the rendered rows stop changing (and, when given, differ from the previous ones).
+         * @param {HTMLElement} view - Grid view element.
+         * @param {string|null} previous - Signature before the change, or null when no change is required.
+         * @returns {Promise<void>}
+         */
+        async waitForRender(view, previous = null) {
+            if (previous !== null) {
+                try {
+                    await waitFor(() => this.renderSignature(view) !== previous,
+                        { root: view, timeout: this.RENDER_TIMEOUT, step: 'Render grid rows' });
+                } catch (error) {
+                    console.warn(error.message);
+                    return;
+                }
+            }
+            await waitForQuiet(view, this.RENDER_QUIET_TIME, this.RENDER_TIMEOUT);
+        },
+
+        /**
+         * Builds a key identifying a grid row across scroll positions, using the record id ExtJS
+         * puts on the row when available, else the row's offset from the top of the scrolled content,
+         * so two rows with the same values stay apart. The page number keeps keys of paged grids apart.
+         * @param {HTMLElement} row - Grid row element.
+         * @param {HTMLElement} view - Grid view element.
+         * @param {number} page - Current page of the grid (1 when not paged).
+         * @returns {string}
+         */
+        rowKey(row, view, page) {
+            const recordKey = row.dataset.recordid || row.dataset.recordindex;
+            if (recordKey) {
+                return `${page}:${recordKey}`;
+            }
+            const offset = row.getBoundingClientRect().top - view.getBoundingClientRect().top + view.scrollTop;
+            return `${page}@${Math.round(offset)}`;
+        },
+
+        /**
+         * Visits every row of the grid, scrolling buffered grids and paging through paged ones so that
+         * rows not rendered at first are read as well. Each row is visited once, while it is rendered.
+         * @param {HTMLElement} view - Grid view element.
+         * @param {Object<string, string>} columns - Cell selectors returned by resolve().
+         * @param {function(HTMLElement, Object, string): (boolean|void|Promise<boolean|void>)} visit - Called with the
+         *        row element, its values and its key. Returning false stops the walk with the row still rendered.
+         * @param {{fromStart?: boolean}} [options] - fromStart: rewind to the first page and top first (default),
+         *        otherwise continue from the current position.
+         * @returns {Promise<boolean>} - false when the walk was stopped by visit, true when all rows were visited.
+         */
+        async walk(view, columns, visit, options = {}) {
+            const seen = new Set();
+            let page = 1;
+
+            if (options.fromStart !== false) {
+                const first = this.getPagingButton(view, 'first');
+                if (first) {
+                    const previous = this.renderSignature(view);
+                    first.click();
+                    await this.waitForRender(view, previous);
+                }
+                if (view.scrollTop > 0) {
+                    view.scrollTop = 0;
+                    await this.waitForRender(view);
+                }
+            }
+
+            while (true) {
+                while (true) {
+                    for (const row of view.querySelectorAll(this.ROW_SELECTOR)) {
+                        // Rows without any of the cells (e.g. group headers) are skipped
+                        const rowData = this.readRow(row, columns);
+                        if (!rowData) {
+                            continue;
+                        }
+                        const key = this.rowKey(row, view, page);
+                        if (seen.has(key)) {
+                            continue;
+                        }
+                        seen.add(key);
+                        if (await visit(row, rowData, key) === false) {
+                            return false;
+                        }
+                    }
+
+                    if (view.scrollTop + view.clientHeight >= view.scrollHeight - 1) {
+                        break;
+                    }
+                    // Scroll less than a full view, so no row is skipped between two renders
+                    view.scrollTop += Math.max(1, Math.floor(view.clientHeight * 0.8));
+                    await this.waitForRender(view);
+                }
+
+                const next = this.getPagingButton(view, 'next');
+                if (!next) {
+                    return true;
+                }
+                const previous = this.renderSignature(view);
+                next.click();
+                page++;
+                await this.waitForRender(view, previous);
+                view.scrollTop = 0;
+            }
+        },
+
+        /**
+         * Reads all rows of the grid, including rows that are buffered or on other pages.
+         * @param {HTMLElement} view - Grid view element.
+         * @param {Object<string, string>} columns - Cell selectors returned by resolve().
+         * @returns {Promise<Array<Object>>} - Row objects keyed by column caption.
+         */
+        async readAllRows(view, columns) {
+            const rows = [];
+            await this.walk(view, columns, (row, rowData) => {
+                rows.push(rowData);
+            });
+            return rows;
+        },
+
+        /**
+         * Finds the grid row matching a predicate and leaves it rendered. The rows currently shown are
+         * searched first, then the rest of the grid from the current position, then from the start.
+         * @param {HTMLElement} view - Grid view element.
+         * @param {Object<string, string>} columns - Cell selectors returned by resolve().
+         * @param {function(Object): boolean} predicate - Called with the values of each row.
+         * @returns {Promise<HTMLElement|null>}
+         */
+        async findRow(view, columns, predicate) {
+            const rendered = Array.from(view.querySelectorAll(this.ROW_SELECTOR))
+                .find(row => predicate(this.readRow(row, columns)));
+            if (rendered) {
+                return rendered;
+            }
+
+            let found = null;
+            const search = (row, rowData) => {
+                if (predicate(rowData)) {
+                    found = row;
+                    return false;
+                }
+            };
+            await this.walk(view, columns, search, { fromStart: false });
+            if (!found) {
+                await this.walk(view, columns, search);
             }
+            return found;
+        }
+    };
+
+    /**
+     * Registry of the cell editors the debrief grid can open. Clicking a cell activates one of them;
+     * the active editor is found by focus, ExtJS field classes and position over the cell, so generated
+     * ids such as sfm-textarea-1050 are not needed. Types are tried in order.
+     */
+    const CellEditors = {
+        EDITOR_SELECTOR: '.svmx-editor, .svmx-grid-editor, [id*="celleditor"]',
+        FIELD_SELECTOR: 'input:not([type="hidden"]), textarea',
+        LIST_SELECTOR: '.svmx-boundlist-list-ct',
+        LIST_GAP: 8, // Pixels between an editor and the list it drops down
+
+        types: [
+            {
+                name: 'picklist',
+                matches: editor => !!editor.querySelector('.svmx-form-arrow-trigger'),
+                async setValue(editor, value, field) {
+                    const boundList = await retryStep(() => {
+                        editor.querySelector('.svmx-form-arrow-trigger').click();
+                        return waitFor(() => CellEditors.findBoundList(editor), { step: `Open ${field} list` });
+                    });
+
+                    const option = Array.from(boundList.querySelectorAll('.svmx-boundlist-item'))
+                        .find(item => StatusAliases.normalize(item.textContent) === StatusAliases.normalize(value));
+                    if (!option) {
+                        throw stepError(`Select ${field}`, `option "${value}" not found in the dropdown.`);
+                    }
 
-            const options = boundList.querySelectorAll('.svmx-boundlist-item');
-            let optionFound = false;
-            for (let option of options) {
-                if (option.textContent.trim() === status) {
                     option.click();
-                    optionFound = true;
-                    break;
+                    await waitFor(() => !isVisible(boundList), { step: `Close ${field} list` });
+                }
+            },
+            {
+                name: 'textarea',
+                matches: editor => !!editor.querySelector('textarea') || editor.matches('textarea'),
+                async setValue(editor, value) {
+                    CellEditors.fillInput(editor.matches('textarea') ? editor : editor.querySelector('textarea'), value);
                 }
             }
+        ],
+
+        /**
+         * Finds the editor activated over a cell: the focused field when it belongs to an editor
+         * covering the cell, otherwise any visible editor covering it.
+         * @param {HTMLElement} cell - Grid cell that was clicked.
+         * @returns {HTMLElement|null} - Editor element.
+         */
+        findActive(cell) {
+            const cellRect = cell.getBoundingClientRect();
+            const covers = element => {
+                const rect = element.getBoundingClientRect();
+                return rect.left < cellRect.right && rect.right > cellRect.left &&
+                    rect.top < cellRect.bottom && rect.bottom > cellRect.top;
+            };
 
-            if (!optionFound) {
-                console.warn(`Option "${status}" not found in Task Status dropdown.`);
+            const focused = document.activeElement;
+            if (focused && focused !== document.body && focused.matches(this.FIELD_SELECTOR) && !cell.contains(focused)) {
+                const editor = focused.closest(this.EDITOR_SELECTOR) || focused.closest('.svmx-field') || focused;
+                if (isVisible(editor) && covers(editor)) {
+                    return editor;
+                }
             }
-        } else {
-            console.error("Task Status dropdown arrow not found.");
+
+            return Array.from(document.querySelectorAll(this.EDITOR_SELECTOR))
+                .find(editor => isVisible(editor) && covers(editor)) || null;
+        },
+
+        /**
+         * Returns the list an editor dropped down: a visible list with options, right below the editor
+         * (or right above it near the bottom of the page) and aligned with it. Lists of other combos
+         * left open on the page are ignored.
+         * @param {HTMLElement} editor - Active editor.
+         * @returns {HTMLElement|null}
+         */
+        findBoundList(editor) {
+            const field = editor.getBoundingClientRect();
+            return Array.from(document.querySelectorAll(this.LIST_SELECTOR)).find(list => {
+                if (!isVisible(list) || !list.querySelector('.svmx-boundlist-item')) {
+                    return false;
+                }
+                const rect = (list.closest('.svmx-boundlist') || list).getBoundingClientRect();
+                const below = Math.abs(rect.top - field.bottom) <= this.LIST_GAP;
+                const above = Math.abs(field.top - rect.bottom) <= this.LIST_GAP;
+                return (below || above) && Math.abs(rect.left - field.left) <= this.LIST_GAP;
+            }) || null;
+        },
+
+        /**
+         * Types a value into an editor field and notifies the page.
+         * @param {HTMLInputElement|HTMLTextAreaElement} input
+         * @param {string} value
+         */
+        fillInput(input, value) {
+            input.focus();
+            input.value = value;
+            input.dispatchEvent(new Event('input', { bubbles: true }));
+            input.dispatchEvent(new Event('change', { bubbles: true }));
+        },
+
+        /**
+         * Enters a value into a grid cell with whichever editor the cell opens.
+         * @param {HTMLElement} cell - Grid cell.
+         * @param {string} value - Value to enter.
+         * @param {string} field - Column caption, used in step names.
+         * @throws {Error} - A step error (see stepError) when the editor does not open, accept or save the value in time.
+         */
+        async edit(cell, value, field) {
+            const editor = await retryStep(() => {
+                cell.click();
+                return waitFor(() => this.findActive(cell), { step: `Open ${field} editor` });
+            });
+
+            const type = this.types.find(candidate => candidate.matches(editor));
+            if (!type) {
+                throw stepError(`Open ${field} editor`, 'unsupported editor type.');
+            }
+            if (DEBUG) {
+                console.log(`Editing ${field} with the ${type.name} editor`, editor);
+            }
+            await type.setValue(editor, value, field);
+
+            // Click outside the editor to save
+            document.body.click();
+            const compact = text => (text || "").replace(/\s+/g, '');
+            await waitFor(() => !isVisible(editor) || !cell.isConnected || compact(cell.textContent) === compact(value),
+                { step: `Save ${field}` });
         }
+    };
 
-        await wait(30);
+    /**
+     * Sets the Task Status of a specific cell by clicking and selecting the correct option.
+     * @param {HTMLElement} cell - The cell element to interact with.
+     * @param {string} status - The desired task status to select.
+     * @param {Object} [target] - Target row being filled, recorded in the audit log.
+     * @throws {Error} - A step error (see stepError) when the editor or option does not show up in time.
+     */
+    async function setTaskStatus(cell, status, target = null) {
+        await AuditLog.track(cell, 'Task Status', status, target, () => CellEditors.edit(cell, status, 'Task Status'));
     }
 
     /**
-     * Adds a "Fill Rows" button to the page and initializes the State Manager.
+     * Adds the "Fill Rows", "Restore previous values", display mode and "Audit log" buttons to the page and initializes the State Manager.
      */
     function addButton() {
+        // Toolbar centered at the top of the page
+        const toolbar = document.createElement('div');
+        toolbar.id = 'fillRowsToolbar';
+        toolbar.style.position = 'absolute';
+        toolbar.style.left = '50%';
+        toolbar.style.top = '2px';
+        toolbar.style.transform = 'translateX(-50%)';
+        toolbar.style.display = 'flex';
+        toolbar.style.gap = '8px';
+        toolbar.style.zIndex = '1000';
+
+        const button = createToolbarButton('fillRowsButton', "Fill Rows", '#a8e4f4');
+        button.addEventListener('click', processRows);
+        toolbar.appendChild(button);
+
+        const restoreButton = createToolbarButton('restoreValuesButton', "Restore previous values", '#e0e0e0');
+        restoreButton.addEventListener('click', restoreSnapshot);
+        toolbar.appendChild(restoreButton);
+
+        const displayModeButton = createToolbarButton('displayModeButton', "", '#e0e0e0');
+        displayModeButton.title = "Where the comparison opens on the next Fill Rows";
+        displayModeButton.addEventListener('click', () => DisplayMode.toggle());
+        toolbar.appendChild(displayModeButton);
+
+        const auditLogButton = createToolbarButton('auditLogButton', "Audit log", '#e0e0e0');
+        auditLogButton.addEventListener('click', () => AuditLogPanel.toggle());
+        toolbar.appendChild(auditLogButton);
+
+        document.body.appendChild(toolbar);
+        StateManager.init({
+            onStateChange: newState => ProgressPanel.updateState(newState),
+            onProgress: progress => ProgressPanel.update(progress)
+        });
+        updateRestoreButton();
+        updateDisplayModeButton();
+    }
+
+    /**
+     * Creates a button styled for the toolbar on the CLM page.
+     * @param {string} id - Element id.
+     * @param {string} text - Button caption.
+     * @param {string} background - Background color.
+     * @returns {HTMLButtonElement}
+     */
+    function createToolbarButton(id, text, background) {
         const button = document.createElement('button');
-        button.id = 'fillRowsButton';
-        button.textContent = "Fill Rows";
-        button.style.position = 'absolute';
-        button.style.left = '50%';
-        button.style.top = '2px';
-        button.style.padding = '10px';
-        button.style.transform = 'translateX(-50%)';
+        button.id = id;
+        button.textContent = text;
         button.style.padding = '8px 20px';
-        button.style.setProperty('background', '#a8e4f4');
+        button.style.setProperty('background', background);
         button.style.border = 'none';
         button.style.borderRadius = '5px';
         button.style.cursor = 'pointer';
-        button.style.zIndex = '1000';
         button.style.color = '#000';
         button.style.boxShadow = '0 2px 4px rgba(0,0,0,0.2)';
         button.style.fontSize = '14px';
-
-        button.addEventListener('click', processRows);
-        document.body.appendChild(button);
-        StateManager.init();
+        button.style.whiteSpace = 'nowrap';
+        return button;
     }
 
     /**
      * Sets technician comments in the Technician Comments cell.
      * @param {HTMLElement} cell - The cell element to interact with.
      * @param {string} comments - The comments to input.
+     * @param {Object} [target] - Target row being filled, recorded in the audit log.
+     * @throws {Error} - A step error (see stepError) when the editor does not open or save in time.
      */
-    async function setTechnicianComments(cell, comments) {
-        cell.click();
-        await wait(30);
-
-        const textarea = document.querySelector("#sfm-textarea-1050-inputEl");
-        if (textarea) {
-            textarea.value = comments;
-            textarea.dispatchEvent(new Event('input', { bubbles: true }));
-            await wait(30);
-            // Click outside the textarea to save
-            document.body.click();
-        } else {
-            console.error("Technician Comments textarea not found.");
-        }
-
-        await wait(30);
+    async function setTechnicianComments(cell, comments, target = null) {
+        await AuditLog.track(cell, 'Technician Comments', comments, target, () => CellEditors.edit(cell, comments, 'Technician Comments'));
     }
 
     /**
      * Object that validates the file being uploaded, checks headers, size, etc.
      */
     const FileProcessor = {
-        ALLOWED_EXTENSIONS: ['.csv'],
+        ALLOWED_EXTENSIONS: ['.csv', '.xlsx'],
         MAX_FILE_SIZE: 5 * 1024 * 1024, // 5MB
         REQUIRED_HEADERS: ['Check Description', 'Task Status', 'Technician Comments', 'Manual Reference', 'Check ID'],
 
+        getFileExtension(filename) {
+            return '.' + filename.split('.').pop().toLowerCase();
+        },
+
         validateFileExtension(filename) {
-            const ext = '.' + filename.split('.').pop().toLowerCase();
+            const ext = this.getFileExtension(filename);
             if (!this.ALLOWED_EXTENSIONS.includes(ext)) {
                 throw new Error(`Invalid file type. Allowed types: ${this.ALLOWED_EXTENSIONS.join(', ')}`);
             }
@@ -354,97 +1095,900 @@
                 reader.onerror = (e) => reject(new Error('Failed to read file'));
                 reader.readAsText(file);
             });
+        },
+
+        readFileAsArrayBuffer(file) {
+            return new Promise((resolve, reject) => {
+                const reader = new FileReader();
+                reader.onload = (e) => resolve(e.target.result);
+                reader.onerror = (e) => reject(new Error('Failed to read file'));
+                reader.readAsArrayBuffer(file);
+            });
         }
     };
 
     // Data handling functions
 
     /**
-     * Parses CSV text into an array of objects.
-     * @param {string} text - The CSV content as a string.
-     * @returns {Array<Object>} - Array of row objects.
+     * RFC 4180 CSV reader. Supports quoted fields spanning several lines, doubled quotes (""),
+     * a leading UTF-8 BOM and the delimiters written by different Excel locales.
      */
-    function parseCSV(text) {
-        const lines = text.trim().split(/\r?\n/);
-        const headers = lines[0].split(',').map(header => header.replace(/(^"|"$)/g, '').trim());
-        const data = [];
+    const CSVReader = {
+        DELIMITERS: [',', ';', '\t'],
+
+        /**
+         * Picks the delimiter that occurs most often in the header record (outside quotes).
+         * @param {string} text - The CSV content.
+         * @returns {string} - The detected delimiter, ',' when nothing else is found.
+         */
+        detectDelimiter(text) {
+            const counts = {};
+            let inQuotes = false;
+
+            for (const ch of text) {
+                if (ch === '"') {
+                    inQuotes = !inQuotes;
+                } else if (!inQuotes && (ch === '\n' || ch === '\r')) {
+                    break;
+                } else if (!inQuotes && this.DELIMITERS.includes(ch)) {
+                    counts[ch] = (counts[ch] || 0) + 1;
+                }
+            }
 
-        for (let i = 1; i < lines.length; i++) {
-            const values = lines[i]
-                .split(/,(?=(?:[^"]*"[^"]*")*[^"]*$)/)
-                .map(value => value.replace(/(^"|"$)/g, '').trim());
-            const row = {};
-            headers.forEach((header, index) => {
-                row[header] = values[index] || "";
-            });
-            data.push(row);
-        }
+            return this.DELIMITERS.reduce(
+                (best, delimiter) => ((counts[delimiter] || 0) > (counts[best] || 0) ? delimiter : best),
+                this.DELIMITERS[0]
+            );
+        },
 
-        return data;
-    }
+        /**
+         * Splits CSV text into records of raw field values.
+         * @param {string} text - The CSV content without BOM.
+         * @param {string} delimiter - Field delimiter.
+         * @returns {{records: Array<{line: number, fields: Array<string>}>, errors: Array<{line: number, message: string}>}}
+         */
+        readRecords(text, delimiter) {
+            const records = [];
+            const errors = [];
+            let fields = [];
+            let field = '';
+            let inQuotes = false;
+            let closedQuote = false;
+            let line = 1;
+            let recordLine = 1;
+
+            const endField = () => {
+                fields.push(field);
+                field = '';
+                closedQuote = false;
+            };
+            const endRecord = () => {
+                endField();
+                // Skip blank lines, but keep records with empty fields
+                if (fields.length > 1 || fields[0] !== '') {
+                    records.push({ line: recordLine, fields });
+                }
+                fields = [];
+            };
 
-    /**
-     * Compares file data with cloud data to find differences, matching rows, and missing rows.
-     * @param {Array<Object>} fileData - Array of row objects from the file.
-     * @param {Array<Object>} cloudData - Array of row objects from the cloud.
-     */
-    function compareData(fileData, cloudData) {
-        const differences = [];
-        const matching = [];
-        const missingInCloud = [];
-        const missingInFile = [];
-        const cloudDataCopy = [...cloudData];
+            for (let i = 0; i < text.length; i++) {
+                const ch = text[i];
+
+                if (inQuotes) {
+                    if (ch === '"') {
+                        if (text[i + 1] === '"') {
+                            field += '"';
+                            i++;
+                        } else {
+                            inQuotes = false;
+                            closedQuote = true;
+                        }
+                    } else if (ch === '\r' && text[i + 1] === '\n') {
+                        // Keep line breaks inside quoted fields, normalized to \n
+                        field += '\n';
+                        line++;
+                        i++;
+                    } else {
+                        if (ch === '\n' || ch === '\r') line++;
+                        field += ch;
+                    }
+                    continue;
+                }
+
+                if (ch === delimiter) {
+                    endField();
+                } else if (ch === '\n' || ch === '\r') {
+                    if (ch === '\r' && text[i + 1] === '\n') i++;
+                    endRecord();
+                    line++;
+                    recordLine = line;
+                } else if (ch === '"') {
+                    if (field === '' && !closedQuote) {
+                        inQuotes = true;
+                    } else {
+                        errors.push({ line, message: 'unexpected quote inside a field' });
+                        field += ch;
+                    }
+                } else {
+                    if (closedQuote) {
+                        errors.push({ line, message: 'unexpected text after a closing quote' });
+                        closedQuote = false;
+                    }
+                    field += ch;
+                }
+            }
 
-        // Iterate through each row from the file
-        fileData.forEach(fileRow => {
-            let matched = false;
+            if (inQuotes) {
+                errors.push({ line: recordLine, message: 'quoted field is never closed' });
+            }
+            if (field !== '' || fields.length > 0 || closedQuote) {
+                endRecord();
+            }
 
-            // Search for matches in cloud data
-            for (let i = 0; i < cloudDataCopy.length; i++) {
-                const cloudRow = cloudDataCopy[i];
+            return { records, errors };
+        },
 
-                const cdMatch = fileRow["Check Description"] === cloudRow["Check Description"];
-                const mdMatch = fileRow["Manual Reference"] === cloudRow["Manual Reference"];
-                const cidMatch = fileRow["Check ID"] === cloudRow["Check ID"];
+        /**
+         * Parses CSV text into headers and row objects keyed by header.
+         * @param {string} text - The CSV content as a string.
+         * @returns {{headers: Array<string>, rows: Array<Object>, delimiter: string}}
+         * @throws {Error} - When one or more lines are malformed.
+         */
+        parse(text) {
+            const content = text.replace(/^\uFEFF/, '');
+            const delimiter = this.detectDelimiter(content);
+            const { records, errors } = this.readRecords(content, delimiter);
+
+            if (records.length === 0) {
+                return { headers: [], rows: [], delimiter };
+            }
 
-                // Check for full match
-                if (cdMatch && mdMatch && cidMatch) {
-                    matching.push(fileRow);
-                    cloudDataCopy.splice(i, 1);
-                    matched = true;
-                    break;
+            const headers = records[0].fields.map(header => header.trim());
+            records.slice(1).forEach(record => {
+                if (record.fields.length !== headers.length) {
+                    errors.push({
+                        line: record.line,
+                        message: `expected ${headers.length} fields, found ${record.fields.length}`
+                    });
                 }
+            });
 
-                // Check for partial match
-                if (
-                    (cdMatch && mdMatch && !cidMatch) ||
-                    (cdMatch && !mdMatch && cidMatch) ||
-                    (cdMatch && !mdMatch && !cidMatch) ||
-                    (!cdMatch && mdMatch && cidMatch)
-                ) {
-                    differences.push({
-                        source: "File",
-                        ...fileRow
-                    });
-                    differences.push({
-                        source: "Cloud",
-                        ...cloudRow
-                    });
-                    cloudDataCopy.splice(i, 1);
-                    matched = true;
+            if (errors.length > 0) {
+                const details = errors
+                    .sort((a, b) => a.line - b.line)
+                    .map(error => `line ${error.line}: ${error.message}`)
+                    .join('\n');
+                throw new Error(`${messages.malformedCSV}\n${details}`);
+            }
+
+            const rows = records.slice(1).map(record => {
+                const row = {};
+                headers.forEach((header, index) => {
+                    row[header] = (record.fields[index] || "").trim();
+                });
+                return row;
+            });
+
+            return { headers, rows, delimiter };
+        }
+    };
+
+    /**
+     * CSV writer for exports. Fields are always quoted; Check IDs are written as ="..." text
+     * formulas, so Excel does not turn them into dates.
+     */
+    const CSVWriter = {
+        BOM: '\uFEFF', // Makes Excel read the file as UTF-8
+
+        /**
+         * @param {Array<string>} headers - Column captions.
+         * @param {Array<Object>} rows - Row objects keyed by column caption.
+         * @param {string} delimiter - One of CSVReader.DELIMITERS.
+         * @returns {string} - CSV content, starting with a BOM.
+         */
+        write(headers, rows, delimiter) {
+            return this.BOM + this.formatLines(headers, rows, delimiter).join('\r\n') + '\r\n';
+        },
+
+        /**
+         * Formats a header line and one line per row, without line endings.
+         * @param {Array<string>} headers - Column captions.
+         * @param {Array<Object>} rows - Row objects keyed by column caption.
+         * @param {string} delimiter - One of CSVReader.DELIMITERS.
+         * @returns {Array<string>}
+         */
+        formatLines(headers, rows, delimiter) {
+            const lines = [this.formatLine(headers, delimiter)];
+            rows.forEach(row => {
+                lines.push(this.formatLine(headers.map(header => {
+                    const value = row[header] ?? "";
+                    return header === "Check ID" && value ? `="${value}"` : value;
+                }), delimiter));
+            });
+            return lines;
+        },
+
+        /**
+         * @param {Array<*>} values - Field values.
+         * @param {string} delimiter
+         * @returns {string} - The quoted fields of one line.
+         */
+        formatLine(values, delimiter) {
+            return values.map(value => `"${String(value ?? "").replace(/"/g, '""')}"`).join(delimiter);
+        }
+    };
+
+    /**
+     * Minimal reader and writer for ZIP archives, the container format of .xlsx workbooks.
+     * Deflated entries are inflated with the browser's DecompressionStream; written entries are stored.
+     */
+    const ZipArchive = {
+        /**
+         * Reads the central directory of an archive.
+         * @param {ArrayBuffer} buffer - The archive content.
+         * @returns {{has: function(string): boolean, readText: function(string): Promise<string|null>}}
+         */
+        open(buffer) {
+            const view = new DataView(buffer);
+            const decoder = new TextDecoder();
+            const entries = new Map();
+
+            // The end of central directory record sits at the end, followed by an optional comment
+            let eocd = -1;
+            for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 22 - 0xFFFF); i--) {
+                if (view.getUint32(i, true) === 0x06054B50) {
+                    eocd = i;
                     break;
                 }
             }
+            if (eocd === -1) {
+                throw new Error(messages.invalidWorkbook);
+            }
+
+            const count = view.getUint16(eocd + 10, true);
+            let pos = view.getUint32(eocd + 16, true);
+            for (let i = 0; i < count; i++) {
+                if (view.getUint32(pos, true) !== 0x02014B50) {
+                    throw new Error(messages.invalidWorkbook);
+                }
+                const nameLength = view.getUint16(pos + 28, true);
+                const name = decoder.decode(new Uint8Array(buffer, pos + 46, nameLength));
+                entries.set(name, {
+                    method: view.getUint16(pos + 10, true),
+                    compressedSize: view.getUint32(pos + 20, true),
+                    localOffset: view.getUint32(pos + 42, true)
+                });
+                pos += 46 + nameLength + view.getUint16(pos + 30, true) + view.getUint16(pos + 32, true);
+            }
+
+            return {
+                has: name => entries.has(name),
+                readText: async name => {
+                    const entry = entries.get(name);
+                    return entry ? decoder.decode(await this.readEntry(buffer, entry)) : null;
+                }
+            };
+        },
+
+        /**
+         * Returns the uncompressed content of an entry.
+         * @param {ArrayBuffer} buffer - The archive content.
+         * @param {{method: number, compressedSize: number, localOffset: number}} entry - Central directory entry.
+         * @returns {Promise<Uint8Array>}
+         */
+        async readEntry(buffer, entry) {
+            const view = new DataView(buffer);
+            const start = entry.localOffset + 30
+                + view.getUint16(entry.localOffset + 26, true)
+                + view.getUint16(entry.localOffset + 28, true);
+            const data = new Uint8Array(buffer, start, entry.compressedSize);
+
+            if (entry.method === 0) {
+                return data;
+            }
+            if (entry.method !== 8) {
+                throw new Error(messages.invalidWorkbook);
+            }
+            if (typeof DecompressionStream === 'undefined') {
+                throw new Error(messages.xlsxNotSupported);
+            }
+
+            const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+            return new Uint8Array(await new Response(stream).arrayBuffer());
+        },
+
+        /**
+         * Builds an archive with uncompressed (stored) entries.
+         * @param {Array<{name: string, content: string}>} files - Entries, written as UTF-8.
+         * @returns {Uint8Array} - The archive content.
+         */
+        create(files) {
+            const encoder = new TextEncoder();
+            const DOS_DATE = 0x21; // 1980-01-01
+            const localParts = [];
+            const centralParts = [];
+            let offset = 0;
+
+            files.forEach(file => {
+                const name = encoder.encode(file.name);
+                const data = encoder.encode(file.content);
+                const crc = this.crc32(data);
+
+                const local = new DataView(new ArrayBuffer(30));
+                local.setUint32(0, 0x04034B50, true);
+                local.setUint16(4, 20, true);
+                local.setUint16(6, 0x0800, true); // UTF-8 names
+                local.setUint16(12, DOS_DATE, true);
+                local.setUint32(14, crc, true);
+                local.setUint32(18, data.length, true);
+                local.setUint32(22, data.length, true);
+                local.setUint16(26, name.length, true);
+                localParts.push(new Uint8Array(local.buffer), name, data);
+
+                const central = new DataView(new ArrayBuffer(46));
+                central.setUint32(0, 0x02014B50, true);
+                central.setUint16(4, 20, true);
+                central.setUint16(6, 20, true);
+                central.setUint16(8, 0x0800, true);
+                central.setUint16(14, DOS_DATE, true);
+                central.setUint32(16, crc, true);
+                central.setUint32(20, data.length, true);
+                central.setUint32(24, data.length, true);
+                central.setUint16(28, name.length, true);
+                central.setUint32(42, offset, true);
+                centralParts.push(new Uint8Array(central.buffer), name);
+
+                offset += 30 + name.length + data.length;
+            });
+
+            const centralSize = centralParts.reduce((size, part) => size + part.length, 0);
+            const eocd = new DataView(new ArrayBuffer(22));
+            eocd.setUint32(0, 0x06054B50, true);
+            eocd.setUint16(8, files.length, true);
+            eocd.setUint16(10, files.length, true);
+            eocd.setUint32(12, centralSize, true);
+            eocd.setUint32(16, offset, true);
+
+            const parts = [...localParts, ...centralParts, new Uint8Array(eocd.buffer)];
+            const archive = new Uint8Array(offset + centralSize + 22);
+            let pos = 0;
+            parts.forEach(part => {
+                archive.set(part, pos);
+                pos += part.length;
+            });
+            return archive;
+        },
+
+        /**
+         * CRC-32 checksum of an entry, as required by the ZIP headers.
+         * @param {Uint8Array} data
+         * @returns {number}
+         */
+        crc32(data) {
+            if (!this.crcTable) {
+                this.crcTable = new Uint32Array(256);
+                for (let n = 0; n < 256; n++) {
+                    let c = n;
+                    for (let k = 0; k < 8; k++) {
+                        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                    }
+                    this.crcTable[n] = c >>> 0;
+                }
+            }
+
+            let crc = 0xFFFFFFFF;
+            for (let i = 0; i < data.length; i++) {
+                crc = this.crcTable[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+            }
+            return (crc ^ 0xFFFFFFFF) >>> 0;
+        }
+    };
+
+    /**
+     * Writes a single-sheet .xlsx workbook. Every cell is an inline string, so Check IDs stay text.
+     */
+    const XlsxWriter = {
+        MAIN_NS: 'http://schemas.openxmlformats.org/spreadsheetml/2006/main',
+        RELATIONSHIPS_NS: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships',
+        PACKAGE_RELATIONSHIPS_NS: 'http://schemas.openxmlformats.org/package/2006/relationships',
+
+        /**
+         * @param {string} sheetName - Name of the sheet.
+         * @param {Array<string>} headers - Column captions, written as the first row.
+         * @param {Array<Object>} rows - Row objects keyed by column caption.
+         * @returns {Uint8Array} - The workbook content.
+         */
+        write(sheetName, headers, rows) {
+            const xml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+            const relType = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+            const contentType = 'application/vnd.openxmlformats-officedocument.spreadsheetml';
+
+            const sheetRows = [headers, ...rows.map(row => headers.map(header => row[header]))]
+                .map((values, rowIndex) => {
+                    const cells = values.map((value, columnIndex) => this.cell(`${this.columnName(columnIndex)}${rowIndex + 1}`, value));
+                    return `<row r="${rowIndex + 1}">${cells.join('')}</row>`;
+                }).join('');
+
+            return ZipArchive.create([
+                {
+                    name: '[Content_Types].xml',
+                    content: `${xml}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+                        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                        '<Default Extension="xml" ContentType="application/xml"/>' +
+                        `<Override PartName="/xl/workbook.xml" ContentType="${contentType}.sheet.main+xml"/>` +
+                        `<Override PartName="/xl/worksheets/sheet1.xml" ContentType="${contentType}.worksheet+xml"/>` +
+                        '</Types>'
+                },
+                {
+                    name: '_rels/.rels',
+                    content: `${xml}<Relationships xmlns="${this.PACKAGE_RELATIONSHIPS_NS}">` +
+                        `<Relationship Id="rId1" Type="${relType}/officeDocument" Target="xl/workbook.xml"/>` +
+                        '</Relationships>'
+                },
+                {
+                    name: 'xl/workbook.xml',
+                    content: `${xml}<workbook xmlns="${this.MAIN_NS}" xmlns:r="${this.RELATIONSHIPS_NS}">` +
+                        `<sheets><sheet name="${this.escape(this.sheetName(sheetName))}" sheetId="1" r:id="rId1"/></sheets>` +
+                        '</workbook>'
+                },
+                {
+                    name: 'xl/_rels/workbook.xml.rels',
+                    content: `${xml}<Relationships xmlns="${this.PACKAGE_RELATIONSHIPS_NS}">` +
+                        `<Relationship Id="rId1" Type="${relType}/worksheet" Target="worksheets/sheet1.xml"/>` +
+                        '</Relationships>'
+                },
+                {
+                    name: 'xl/worksheets/sheet1.xml',
+                    content: `${xml}<worksheet xmlns="${this.MAIN_NS}"><sheetData>${sheetRows}</sheetData></worksheet>`
+                }
+            ]);
+        },
+
+        /**
+         * @param {string} ref - Cell reference, e.g. "B3".
+         * @param {*} value
+         * @returns {string} - Cell XML; empty values produce no cell.
+         */
+        cell(ref, value) {
+            const text = value == null ? "" : String(value);
+            if (!text) {
+                return '';
+            }
+            return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${this.escape(text)}</t></is></c>`;
+        },
+
+        /**
+         * @param {number} index - Zero-based column index.
+         * @returns {string} - Column letters: A, B, ..., Z, AA, ...
+         */
+        columnName(index) {
+            let name = '';
+            for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+                name = String.fromCharCode(65 + (n - 1) % 26) + name;
+            }
+            return name;
+        },
+
+        /**
+         * Makes a valid sheet name: at most 31 characters, none of : \ / ? * [ ].
+         * @param {string} name
+         * @returns {string}
+         */
+        sheetName(name) {
+            return (name || 'Sheet1').replace(/[:\\/?*[\]]/g, '_').slice(0, 31);
+        },
+
+        /**
+         * Escapes text for XML, dropping control characters XML cannot contain.
+         * @param {string} text
+         * @returns {string}
+         */
+        escape(text) {
+            return escapeHTML(text.replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, ''));
+        }
+    };
+
+    /**
+     * Reads sheets of an .xlsx workbook as text. Cell values are never interpreted, so a Check ID
+     * stays a string; cells Excel already stored as dates are written out as DD.MM.YYYY for
+     * normalizeCheckID to undo.
+     */
+    const XlsxReader = {
+        RELATIONSHIPS_NS: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships',
+        // Built-in number formats that display a date (ECMA-376 Part 1, 18.8.30)
+        DATE_FORMAT_IDS: [14, 15, 16, 17, 22],
+
+        /**
+         * Opens a workbook and lists its sheets.
+         * @param {ArrayBuffer} buffer - The .xlsx file content.
+         * @returns {Promise<Object>} - Workbook with `sheets` ({name, path}) and what is needed to read them.
+         */
+        async read(buffer) {
+            const zip = ZipArchive.open(buffer);
+            if (!zip.has('xl/workbook.xml')) {
+                throw new Error(messages.invalidWorkbook);
+            }
 
-            // If no match found
-            if (!matched) {
+            const workbookXML = this.parseXML(await zip.readText('xl/workbook.xml'));
+            const relsXML = this.parseXML(await zip.readText('xl/_rels/workbook.xml.rels'));
+            const targets = {};
+            this.elements(relsXML, 'Relationship').forEach(rel => {
+                const target = rel.getAttribute('Target');
+                targets[rel.getAttribute('Id')] = target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+            });
+
+            const sheets = this.elements(workbookXML, 'sheet').map(sheet => ({
+                name: sheet.getAttribute('name'),
+                path: targets[sheet.getAttributeNS(this.RELATIONSHIPS_NS, 'id') || sheet.getAttribute('r:id')]
+            }));
+            if (sheets.length === 0) {
+                throw new Error(messages.invalidWorkbook);
+            }
+
+            const workbookPr = this.elements(workbookXML, 'workbookPr')[0];
+            const date1904 = ['1', 'true'].includes(workbookPr?.getAttribute('date1904'));
+
+            return {
+                zip,
+                sheets,
+                date1904,
+                sharedStrings: await this.readSharedStrings(zip),
+                dateStyles: await this.readDateStyles(zip)
+            };
+        },
+
+        /**
+         * Reads one sheet into headers and row objects, like CSVReader.parse.
+         * The first non-empty row holds the headers.
+         * @param {Object} workbook - Workbook returned by read().
+         * @param {{name: string, path: string}} sheet - One of workbook.sheets.
+         * @returns {Promise<{headers: Array<string>, rows: Array<Object>}>}
+         */
+        async readSheet(workbook, sheet) {
+            const sheetText = sheet.path ? await workbook.zip.readText(sheet.path) : null;
+            if (!sheetText) {
+                throw new Error(`${messages.sheetNotFound} ${sheet.name}`);
+            }
+
+            const records = this.elements(this.parseXML(sheetText), 'row').map(rowElement => {
+                const values = [];
+                this.elements(rowElement, 'c').forEach(cell => {
+                    const ref = cell.getAttribute('r');
+                    const index = ref ? this.columnIndex(ref) : values.length;
+                    values[index] = this.readCellValue(cell, workbook).trim();
+                });
+                return Array.from(values, value => value || "");
+            }).filter(values => values.some(value => value !== ""));
+
+            if (records.length === 0) {
+                return { headers: [], rows: [] };
+            }
+
+            const headers = records[0];
+            const rows = records.slice(1).map(values => {
+                const row = {};
+                headers.forEach((header, index) => {
+                    row[header] = values[index] || "";
+                });
+                return row;
+            });
+
+            return { headers, rows };
+        },
+
+        /**
+         * Returns the text of a cell without applying its number format.
+         * @param {Element} cell - The <c> element.
+         * @param {Object} workbook - Workbook returned by read().
+         * @returns {string}
+         */
+        readCellValue(cell, workbook) {
+            const valueElement = this.elements(cell, 'v')[0];
+            const value = valueElement ? valueElement.textContent : '';
+
+            switch (cell.getAttribute('t')) {
+                case 's':
+                    return workbook.sharedStrings[Number(value)] ?? '';
+                case 'inlineStr':
+                    return this.richText(this.elements(cell, 'is')[0]);
+                case 'str':
+                case 'e':
+                    return value;
+                case 'b':
+                    return value === '1' ? 'TRUE' : 'FALSE';
+                case 'd':
+                    return this.formatDate(new Date(value));
+                default:
+                    if (value === '') {
+                        return '';
+                    }
+                    if (workbook.dateStyles.has(Number(cell.getAttribute('s') || 0))) {
+                        // Serial day numbers count from 1899-12-30 (or 1904-01-01)
+                        const epoch = workbook.date1904 ? Date.UTC(1904, 0, 1) : Date.UTC(1899, 11, 30);
+                        return this.formatDate(new Date(epoch + Math.round(Number(value) * 86400) * 1000));
+                    }
+                    // Drops binary float noise such as 4.0999999999999996
+                    return String(Number(value));
+            }
+        },
+
+        async readSharedStrings(zip) {
+            const text = await zip.readText('xl/sharedStrings.xml');
+            if (!text) return [];
+            return this.elements(this.parseXML(text), 'si').map(si => this.richText(si));
+        },
+
+        /**
+         * Collects the indexes of cell styles (cellXfs) whose number format displays a date.
+         * @returns {Promise<Set<number>>}
+         */
+        async readDateStyles(zip) {
+            const text = await zip.readText('xl/styles.xml');
+            const dateStyles = new Set();
+            if (!text) return dateStyles;
+
+            const stylesXML = this.parseXML(text);
+            const dateFormats = new Set(this.DATE_FORMAT_IDS);
+            this.elements(stylesXML, 'numFmt').forEach(numFmt => {
+                // Ignore quoted literals and [color]/[locale] sections before looking for date tokens
+                const code = (numFmt.getAttribute('formatCode') || '').replace(/"[^"]*"|\[[^\]]*\]/g, '');
+                if (/[dmy]/i.test(code)) {
+                    dateFormats.add(Number(numFmt.getAttribute('numFmtId')));
+                }
+            });
+
+            const cellXfs = this.elements(stylesXML, 'cellXfs')[0];
+            if (cellXfs) {
+                Array.from(cellXfs.children).forEach((xf, index) => {
+                    if (dateFormats.has(Number(xf.getAttribute('numFmtId')))) {
+                        dateStyles.add(index);
+                    }
+                });
+            }
+            return dateStyles;
+        },
+
+        /**
+         * Concatenates the text runs of a string item, skipping phonetic hints.
+         */
+        richText(element) {
+            if (!element) return '';
+            return this.elements(element, 't')
+                .filter(t => t.parentNode.localName !== 'rPh')
+                .map(t => t.textContent)
+                .join('');
+        },
+
+        formatDate(date) {
+            const pad = n => String(n).padStart(2, '0');
+            return `${pad(date.getUTCDate())}.${pad(date.getUTCMonth() + 1)}.${date.getUTCFullYear()}`;
+        },
+
+        /**
+         * Converts a cell reference such as "AB12" to a zero-based column index.
+         */
+        columnIndex(ref) {
+            const letters = ref.replace(/\d+$/, '').toUpperCase();
+            return letters.split('').reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+        },
+
+        parseXML(text) {
+            const xml = new DOMParser().parseFromString(text || '', 'application/xml');
+            if (xml.getElementsByTagName('parsererror').length > 0) {
+                throw new Error(messages.invalidWorkbook);
+            }
+            return xml;
+        },
+
+        // Matches by local name, whatever namespace prefix the workbook uses
+        elements(root, localName) {
+            return Array.from(root.getElementsByTagNameNS('*', localName));
+        }
+    };
+
+    // Key under which a row keeps its Check ID as read from the source when it had to be normalized
+    const ORIGINAL_CHECK_ID = "Original Check ID";
+
+    /**
+     * Undoes Excel date-mangling and zero-padding of dotted Check IDs, so that
+     * "04.05.2003", "04-05-2003", "4/5/2003", "2003-05-04" and "04.05.03" all become "4.5.3".
+     * Excel displays a mangled ID in the same day/month order it parsed it in, so the
+     * segments are kept in display order; only ISO dates are reordered.
+     * Values that are neither dotted numbers nor dates are only trimmed. The ="..." wrapper
+     * written by the CSV export is removed.
+     * @param {string} value - Check ID as found in the file or in the grid.
+     * @returns {string} - The normalized Check ID.
+     */
+    function normalizeCheckID(value) {
+        const trimmed = (value || "").trim();
+        const formula = trimmed.match(/^="(.*)"$/);
+        const id = formula ? formula[1].trim() : trimmed;
+        const time = '(?:\\s+\\d{1,2}:\\d{2}(?::\\d{2})?)?';
+        let match;
+
+        // Locale dates: 04.05.2003, 04-05-2003, 4/5/2003
+        if ((match = id.match(new RegExp(`^(\\d{1,2})([./-])(\\d{1,2})\\2(\\d{4})${time}$`)))) {
+            return [match[1], match[3], match[4] % 100].map(Number).join('.');
+        }
+        // ISO dates: 2003-05-04
+        if ((match = id.match(new RegExp(`^(\\d{4})-(\\d{1,2})-(\\d{1,2})${time}$`)))) {
+            return [match[3], match[2], match[1] % 100].map(Number).join('.');
+        }
+        // Zero-padded dotted IDs: 04.05.03
+        if (/^\d+(\.\d+)+$/.test(id)) {
+            return id.split('.').map(Number).join('.');
+        }
+        return id;
+    }
+
+    // Check IDs Excel turned into dates, as read from CSV or from a date cell (see XlsxReader.formatDate)
+    const DATE_CHECK_ID = /^(?:\d{1,2}([./-])\d{1,2}\1\d{4}|\d{4}-\d{1,2}-\d{1,2})(?:\s+\d{1,2}:\d{2}(?::\d{2})?)?$/;
+
+    /**
+     * Returns the Check ID of a date-formatted value read with day and month the other way round.
+     * A workbook saved in a M/D locale stores 4.5.03 as April 5th, which is read back as 5.4.3, and
+     * 4.13.3 as April 13th, which is read back as 13.04.2003 and swapped to 4.13.3.
+     * @param {string} [value] - Check ID as found in the file.
+     * @returns {string|null} - The swapped Check ID, or null when the value is not a date.
+     */
+    function swappedCheckID(value) {
+        if (!value || !DATE_CHECK_ID.test(value.trim())) {
+            return null;
+        }
+        const [first, second, year] = normalizeCheckID(value).split('.');
+        return first === second ? null : [second, first, year].join('.');
+    }
+
+    /**
+     * Returns a copy of the row with a normalized Check ID, keeping the original value when it changed.
+     * @param {Object} row - Row object from the file or the cloud.
+     * @returns {Object} - The row itself when nothing changed, otherwise a normalized copy.
+     */
+    function withNormalizedCheckID(row) {
+        const original = row["Check ID"];
+        const normalized = normalizeCheckID(original);
+        if (normalized === original) {
+            return row;
+        }
+        return { ...row, "Check ID": normalized, [ORIGINAL_CHECK_ID]: original };
+    }
+
+    // Weight of each identifying field in the match confidence of a file row and a cloud row
+    const MATCH_WEIGHTS = {
+        "Check Description": 0.5,
+        "Check ID": 0.3,
+        "Manual Reference": 0.2
+    };
+    // Rows scoring below this confidence are not paired and end up in "Rows Not Found"
+    const MIN_MATCH_CONFIDENCE = 0.5;
+    // Rows with different Check IDs are only paired when their descriptions are at least this similar
+    const MIN_DESCRIPTION_SIMILARITY = 0.85;
+
+    /**
+     * Returns how similar two texts are, from 0 to 1, based on their Levenshtein distance.
+     * Case and runs of whitespace are ignored.
+     * @param {string} a - First text.
+     * @param {string} b - Second text.
+     * @returns {number}
+     */
+    function textSimilarity(a, b) {
+        const s = (a || "").toLowerCase().replace(/\s+/g, ' ').trim();
+        const t = (b || "").toLowerCase().replace(/\s+/g, ' ').trim();
+        if (s === t) return 1;
+        if (!s.length || !t.length) return 0;
+
+        // Two rows of the distance matrix are enough
+        let previous = new Uint16Array(t.length + 1);
+        let current = new Uint16Array(t.length + 1);
+        for (let j = 0; j <= t.length; j++) previous[j] = j;
+
+        for (let i = 1; i <= s.length; i++) {
+            current[0] = i;
+            const ch = s.charCodeAt(i - 1);
+            for (let j = 1; j <= t.length; j++) {
+                const substitution = previous[j - 1] + (ch === t.charCodeAt(j - 1) ? 0 : 1);
+                const insertion = current[j - 1] + 1;
+                const deletion = previous[j] + 1;
+                current[j] = substitution < insertion
+                    ? (substitution < deletion ? substitution : deletion)
+                    : (insertion < deletion ? insertion : deletion);
+            }
+            [previous, current] = [current, previous];
+        }
+
+        return 1 - previous[t.length] / Math.max(s.length, t.length);
+    }
+
+    /**
+     * Scores how likely a file row and a cloud row describe the same task.
+     * Check Description is compared by similarity, Check ID and Manual Reference must be equal.
+     * Rows need the same Check ID or nearly the same description to score at all: every row of a
+     * debrief shares the Manual Reference, which alone would pair unrelated tasks.
+     * @param {Object} fileRow - Row from the file (normalized Check ID).
+     * @param {Object} cloudRow - Row from the cloud (normalized Check ID).
+     * @returns {number} - Confidence from 0 to 1.
+     */
+    function scoreMatch(fileRow, cloudRow) {
+        const similarity = textSimilarity(fileRow["Check Description"], cloudRow["Check Description"]);
+        const sameCheckID = fileRow["Check ID"] === cloudRow["Check ID"];
+        if (!sameCheckID && similarity < MIN_DESCRIPTION_SIMILARITY) {
+            return 0;
+        }
+
+        return MATCH_WEIGHTS["Check Description"] * similarity
+            + MATCH_WEIGHTS["Check ID"] * (sameCheckID ? 1 : 0)
+            + MATCH_WEIGHTS["Manual Reference"] * (fileRow["Manual Reference"] === cloudRow["Manual Reference"] ? 1 : 0);
+    }
+
+    /**
+     * Compares file data with cloud data to find differences, matching rows, and missing rows.
+     * Rows are paired by the best confidence score rather than by the first partial match.
+     * @param {Array<Object>} fileData - Array of row objects from the file.
+     * @param {Array<Object>} cloudData - Array of row objects from the cloud.
+     */
+    function compareData(fileData, cloudData) {
+        const differences = [];
+        const matching = [];
+        const missingInCloud = [];
+        const missingInFile = [];
+        // Compare Check IDs as they were before Excel turned them into dates
+        const cloudRows = cloudData.map(withNormalizedCheckID);
+        const cloudCheckIDs = new Set(cloudRows.map(row => row["Check ID"]));
+        // Dates read in the wrong day/month order are matched by the swapped Check ID the grid knows
+        const fileRows = fileData.map(withNormalizedCheckID).map(row => {
+            const swapped = swappedCheckID(row[ORIGINAL_CHECK_ID]);
+            return swapped && !cloudCheckIDs.has(row["Check ID"]) && cloudCheckIDs.has(swapped)
+                ? { ...row, "Check ID": swapped }
+                : row;
+        });
+
+        // Score every file/cloud combination worth pairing
+        const candidates = [];
+        fileRows.forEach((fileRow, fileIndex) => {
+            cloudRows.forEach((cloudRow, cloudIndex) => {
+                const exact = fileRow["Check Description"] === cloudRow["Check Description"] &&
+                    fileRow["Manual Reference"] === cloudRow["Manual Reference"] &&
+                    fileRow["Check ID"] === cloudRow["Check ID"];
+                const confidence = exact ? 1 : scoreMatch(fileRow, cloudRow);
+
+                if (confidence >= MIN_MATCH_CONFIDENCE) {
+                    candidates.push({ fileIndex, cloudIndex, confidence, exact });
+                }
+            });
+        });
+
+        // Pair exact matches first, then the remaining rows best score first
+        candidates.sort((a, b) => (b.exact - a.exact) || (b.confidence - a.confidence));
+        const filePairs = new Map();
+        const pairedCloud = new Set();
+        candidates.forEach(candidate => {
+            if (filePairs.has(candidate.fileIndex) || pairedCloud.has(candidate.cloudIndex)) {
+                return;
+            }
+            filePairs.set(candidate.fileIndex, candidate);
+            pairedCloud.add(candidate.cloudIndex);
+        });
+
+        fileRows.forEach((fileRow, fileIndex) => {
+            const pair = filePairs.get(fileIndex);
+            if (!pair) {
                 missingInCloud.push(fileRow);
+            } else if (pair.exact) {
+                matching.push(fileRow);
+            } else {
+                differences.push({
+                    file: fileRow,
+                    cloud: cloudRows[pair.cloudIndex],
+                    confidence: pair.confidence
+                });
             }
         });
 
         // Remaining cloud data not found in file
-        cloudDataCopy.forEach(cloudRow => {
-            missingInFile.push(cloudRow);
+        cloudRows.forEach((cloudRow, cloudIndex) => {
+            if (!pairedCloud.has(cloudIndex)) {
+                missingInFile.push(cloudRow);
+            }
         });
 
         // Display the results
@@ -462,8 +2006,8 @@
 
     function updateCopyButtonState() {
         const tbody = doc.querySelector('#matching-table tbody');
-        // If there is at least one row in the table without the “no-matching” class, we consider that there is data available
-        const matchingRowsCount = Array.from(tbody.children).filter(tr => !tr.classList.contains('no-matching')).length;
+        // There is data available when at least one row is included in the fill
+        const matchingRowsCount = tbody.querySelectorAll('tr:not(.no-matching) .include-row:checked').length;
         doc.getElementById('copy-data-button').disabled = matchingRowsCount === 0;
     }
 
@@ -481,23 +2025,325 @@
             FileProcessor.validateFileExtension(file.name);
             FileProcessor.validateFileSize(file.size);
 
-            const fileContent = await FileProcessor.readFileAsText(file);
+            let table;
+            if (FileProcessor.getFileExtension(file.name) === '.xlsx') {
+                const buffer = await FileProcessor.readFileAsArrayBuffer(file);
+                currentWorkbook = await XlsxReader.read(buffer);
+
+                // Start with the first sheet that has the debrief headers; the user can pick another one
+                let sheetIndex = 0;
+                for (let i = 0; i < currentWorkbook.sheets.length; i++) {
+                    const sheetTable = await XlsxReader.readSheet(currentWorkbook, currentWorkbook.sheets[i]);
+                    if (FileProcessor.REQUIRED_HEADERS.every(header => sheetTable.headers.includes(header))) {
+                        sheetIndex = i;
+                        table = sheetTable;
+                        break;
+                    }
+                }
+                updateSheetSelect(currentWorkbook, sheetIndex);
+                table = table || await XlsxReader.readSheet(currentWorkbook, currentWorkbook.sheets[0]);
+            } else {
+                currentWorkbook = null;
+                updateSheetSelect(null);
+                const fileContent = await FileProcessor.readFileAsText(file);
+                table = CSVReader.parse(fileContent);
+                // Export in the same locale format as the uploaded file
+                doc.getElementById('export-delimiter').value = table.delimiter === '\t' ? 'tab' : table.delimiter;
+            }
+
+            compareFileTable(table, file.name);
+
+        } catch (error) {
+            StateManager.handleError(error);
+            alert(error.message);
+            e.target.value = '';
+        }
+    }
+
+    /**
+     * Validates a table read from CSV or a workbook sheet and compares it with the cloud data.
+     * @param {{headers: Array<string>, rows: Array<Object>}} table - Parsed file content.
+     * @param {string} source - File name, sheet or template the table was read from.
+     */
+    function compareFileTable({ headers, rows: fileData }, source) {
+        FileProcessor.validateHeaders(headers);
+
+        if (!fileData || fileData.length === 0) {
+            throw new Error(messages.noFileData);
+        }
+
+        currentFileTable = { source, headers, rows: fileData };
+        showComparedSource(source);
+        compareData(fileData, cloudData);
+    }
+
+    /**
+     * Shows next to the file input what the results were compared with.
+     * @param {string} source - File name, sheet or template.
+     */
+    function showComparedSource(source) {
+        doc.getElementById('compared-source').textContent = `Compared: ${source}`;
+    }
+
+    /**
+     * Fills the sheet picker with the sheets of an uploaded workbook, or hides it for CSV files.
+     * @param {Object|null} workbook - Workbook returned by XlsxReader.read.
+     * @param {number} [selectedIndex] - Index of the sheet being compared.
+     */
+    function updateSheetSelect(workbook, selectedIndex = 0) {
+        const sheetSelect = doc.getElementById('sheet-select');
+        if (!sheetSelect) return;
+
+        sheetSelect.innerHTML = workbook
+            ? workbook.sheets.map((sheet, index) => `<option value="${index}">${escapeHTML(sheet.name)}</option>`).join('')
+            : '';
+        sheetSelect.value = String(selectedIndex);
+        sheetSelect.classList.toggle('hidden', !workbook || workbook.sheets.length < 2);
+    }
+
+    /**
+     * Compares the sheet picked in the sheet picker instead of the first one.
+     * @param {Event} e - The change event from the sheet select.
+     */
+    async function handleSheetChange(e) {
+        if (!currentWorkbook) return;
+
+        try {
+            const sheet = currentWorkbook.sheets[Number(e.target.value)];
+            const fileName = doc.getElementById('file-input').files[0].name;
+            compareFileTable(await XlsxReader.readSheet(currentWorkbook, sheet), `${fileName} (${sheet.name})`);
+        } catch (error) {
+            console.error('Error:', error.message);
+            alert(error.message);
+        }
+    }
+
+    /**
+     * Saved checklists, keyed by Manual Reference, that can be compared instead of an uploaded file.
+     * Work Orders running the same PM procedure share the same checklist.
+     */
+    const TemplateLibrary = {
+        STORE: 'templates',
+        EXPORT_VERSION: 1,
+
+        /**
+         * Saves rows as a template. A template with the same name and Manual Reference is replaced.
+         * @param {string} name - Template name.
+         * @param {Array<Object>} rows - Row objects keyed by column caption.
+         * @returns {Promise<Object>} - The saved template.
+         */
+        async save(name, rows) {
+            const template = this.createTemplate({ name, rows, savedAt: new Date().toISOString() });
+            await LocalDatabase.put(this.STORE, template);
+            return template;
+        },
+
+        /**
+         * @returns {Promise<Array<Object>>} - All templates, by Manual Reference and name.
+         */
+        async list() {
+            const templates = await LocalDatabase.getAll(this.STORE);
+            return templates.sort((a, b) =>
+                a.manualReference.localeCompare(b.manualReference) || a.name.localeCompare(b.name));
+        },
+
+        get(id) {
+            return LocalDatabase.get(this.STORE, id);
+        },
+
+        remove(id) {
+            return LocalDatabase.delete(this.STORE, id);
+        },
+
+        /**
+         * @returns {Promise<string>} - All templates as JSON, to be shared and imported elsewhere.
+         */
+        async exportJSON() {
+            const templates = await this.list();
+            return JSON.stringify({ version: this.EXPORT_VERSION, templates }, null, 2);
+        },
+
+        /**
+         * Imports templates from an export, replacing templates with the same name and Manual Reference.
+         * @param {string} text - JSON produced by exportJSON.
+         * @returns {Promise<number>} - Number of templates imported.
+         * @throws {Error} - When the JSON is not a template export.
+         */
+        async importJSON(text) {
+            let data;
+            try {
+                data = JSON.parse(text);
+            } catch (error) {
+                throw new Error(messages.invalidTemplateFile);
+            }
+            if (!data || !Array.isArray(data.templates)) {
+                throw new Error(messages.invalidTemplateFile);
+            }
+
+            const templates = data.templates.map(template => this.createTemplate(template));
+            for (const template of templates) {
+                await LocalDatabase.put(this.STORE, template);
+            }
+            return templates.length;
+        },
+
+        /**
+         * Builds a template record, keyed by the Manual Reference most of its rows share.
+         * @param {{name: string, rows: Array<Object>, savedAt?: string}} source
+         * @returns {Object} - Template record.
+         * @throws {Error} - When the name or rows are missing.
+         */
+        createTemplate({ name, rows, savedAt }) {
+            if (typeof name !== 'string' || !name.trim() || !Array.isArray(rows) || rows.length === 0 ||
+                !rows.every(row => row && typeof row === 'object')) {
+                throw new Error(messages.invalidTemplateFile);
+            }
+
+            const cleanRows = rows.map(row => {
+                const cleanRow = {};
+                FileProcessor.REQUIRED_HEADERS.forEach(header => {
+                    cleanRow[header] = row[header] == null ? "" : String(row[header]);
+                });
+                return cleanRow;
+            });
 
-            const firstLine = fileContent.split('\n')[0];
-            const headers = firstLine.split(',').map(h => h.trim().replace(/"/g, ''));
-            FileProcessor.validateHeaders(headers);
+            const counts = new Map();
+            cleanRows.forEach(row => counts.set(row["Manual Reference"], (counts.get(row["Manual Reference"]) || 0) + 1));
+            const manualReference = [...counts.entries()].sort((a, b) => b[1] - a[1])[0][0];
 
-            const fileData = parseCSV(fileContent);
+            return {
+                id: `${manualReference}\u0001${name.trim()}`,
+                name: name.trim(),
+                manualReference,
+                rows: cleanRows,
+                savedAt: savedAt || new Date().toISOString()
+            };
+        }
+    };
 
-            if (!fileData || fileData.length === 0) {
-                throw new Error('File contains no data');
+    /**
+     * Fills the template picker. Templates for a Manual Reference of this Work Order come first.
+     * @param {string} [selectedId] - Template to select.
+     */
+    async function refreshTemplateList(selectedId) {
+        const select = doc.getElementById('template-select');
+        try {
+            const references = new Set(cloudData.map(row => row["Manual Reference"]));
+            const templates = (await TemplateLibrary.list())
+                .sort((a, b) => references.has(b.manualReference) - references.has(a.manualReference));
+
+            select.innerHTML = templates.length === 0
+                ? '<option value="">No saved templates</option>'
+                : templates.map(template => `
+                    <option value="${escapeHTML(template.id)}">
+                        ${references.has(template.manualReference) ? '&#9733; ' : ''}${escapeHTML(template.name)}
+                        (${escapeHTML(template.manualReference)}, ${template.rows.length} rows)
+                    </option>
+                `).join('');
+            if (selectedId) {
+                select.value = selectedId;
             }
+        } catch (error) {
+            console.error('Error:', error.message);
+            select.innerHTML = `<option value="">${escapeHTML(error.message)}</option>`;
+        }
+    }
 
-            compareData(fileData, cloudData);
+    /**
+     * Saves the Matching Rows table as a template under the entered name.
+     */
+    async function saveTemplate() {
+        try {
+            const name = doc.getElementById('template-name').value.trim();
+            if (!name) {
+                throw new Error(messages.templateNameRequired);
+            }
+            const rows = collectMatchingRows();
+            if (rows.length === 0) {
+                throw new Error(messages.noTemplateRows);
+            }
 
+            const template = await TemplateLibrary.save(name, rows);
+            await refreshTemplateList(template.id);
+            alert(`Template "${template.name}" saved for Manual Reference ${template.manualReference}.`);
         } catch (error) {
-            StateManager.handleError(error);
+            console.error('Error:', error.message);
+            alert(error.message);
+        }
+    }
+
+    /**
+     * Compares the selected template with the cloud data, as if it had been uploaded as a file.
+     */
+    async function applyTemplate() {
+        try {
+            const id = doc.getElementById('template-select').value;
+            const template = id && await TemplateLibrary.get(id);
+            if (!template) {
+                throw new Error(messages.noTemplateSelected);
+            }
+
+            currentWorkbook = null;
+            updateSheetSelect(null);
+            doc.getElementById('file-input').value = '';
+            compareFileTable({ headers: FileProcessor.REQUIRED_HEADERS, rows: template.rows }, `Template "${template.name}"`);
+        } catch (error) {
+            console.error('Error:', error.message);
+            alert(error.message);
+        }
+    }
+
+    /**
+     * Deletes the selected template after confirmation.
+     */
+    async function deleteTemplate() {
+        const select = doc.getElementById('template-select');
+        if (!select.value) {
+            alert(messages.noTemplateSelected);
+            return;
+        }
+        if (!confirm(`Delete template "${select.selectedOptions[0].textContent.trim()}"?`)) {
+            return;
+        }
+
+        try {
+            await TemplateLibrary.remove(select.value);
+            await refreshTemplateList();
+        } catch (error) {
+            console.error('Error:', error.message);
+            alert(error.message);
+        }
+    }
+
+    /**
+     * Downloads all templates as a JSON file.
+     */
+    async function exportTemplates() {
+        try {
+            const blob = new Blob([await TemplateLibrary.exportJSON()], { type: 'application/json' });
+            downloadBlob(blob, 'clm_templates.json');
+        } catch (error) {
+            console.error('Error:', error.message);
+            alert(error.message);
+        }
+    }
+
+    /**
+     * Imports the templates of a JSON file chosen in the import file input.
+     * @param {Event} e - The change event from the file input.
+     */
+    async function importTemplates(e) {
+        try {
+            const file = e.target.files[0];
+            if (!file) return;
+
+            const count = await TemplateLibrary.importJSON(await FileProcessor.readFileAsText(file));
+            await refreshTemplateList();
+            alert(`${count} templates imported.`);
+        } catch (error) {
+            console.error('Error:', error.message);
             alert(error.message);
+        } finally {
             e.target.value = '';
         }
     }
@@ -520,7 +2366,203 @@
     }
 
     /**
-     * Updates the numeric counter in the given table's title.
+     * Renders a Check ID cell. When the ID was normalized, the original value is shown next to it.
+     * @param {Object} row - Row object with a normalized "Check ID".
+     * @param {string} [content] - HTML for the normalized value, e.g. with a highlighted difference.
+     * @returns {string} - HTML of the table cell.
+     */
+    function renderCheckIDCell(row, content = escapeHTML(row["Check ID"])) {
+        const original = row[ORIGINAL_CHECK_ID]
+            ? ` <span class="original-check-id" title="Original value">(${escapeHTML(row[ORIGINAL_CHECK_ID])})</span>`
+            : '';
+        return `<td data-value="${escapeHTML(row["Check ID"])}">${content}${original}</td>`;
+    }
+
+    /**
+     * Returns the value of a result table cell: the value of its status picker or comment input when
+     * it has one, else its data-value, else the displayed text.
+     * @param {HTMLTableCellElement} cell - The table cell.
+     * @returns {string}
+     */
+    function getCellValue(cell) {
+        const control = cell.querySelector('select, textarea, input[type="text"]');
+        if (control) {
+            return control.value.trim();
+        }
+        return cell.dataset.value ?? cell.textContent.trim();
+    }
+
+    /**
+     * Filters all comparison tables at once by free text, Task Status, Check ID prefix and "has comment".
+     * Rows are hidden with a class, so collecting, sorting and exporting still see every row.
+     */
+    const TableFilter = {
+        // Filtered table id -> id of the title holding its counter
+        TABLES: {
+            'differences-table': 'differences-title',
+            'missing-rows-cloud-table': 'missing-cloud-title',
+            'missing-rows-file-table': 'missing-file-title',
+            'matching-table': 'matching-title',
+            'data-table': 'original-data-title'
+        },
+        NO_STATUS: '(no status)',
+        text: '',
+        statuses: new Set(),
+        checkIDPrefix: '',
+        hasComment: false,
+        observer: null,
+
+        /**
+         * @returns {boolean} - Whether any filter is set.
+         */
+        isActive() {
+            return Boolean(this.text || this.statuses.size > 0 || this.checkIDPrefix || this.hasComment);
+        },
+
+        /**
+         * Checks a result row against every filter that is set.
+         * @param {HTMLTableRowElement} tr - Row whose first five cells are the compared fields.
+         * @returns {boolean}
+         */
+        matches(tr) {
+            const cells = Array.from(tr.cells).slice(0, 5);
+            const [, status, comments, , checkID] = cells.map(getCellValue);
+
+            if (this.text) {
+                // The displayed Check ID is searched too, as the cell value is normalized
+                const haystack = cells.map(getCellValue).concat(cells[4] ? cells[4].textContent : '').join(' ');
+                if (!haystack.toLowerCase().includes(this.text)) {
+                    return false;
+                }
+            }
+            if (this.statuses.size > 0 && !this.statuses.has(status || this.NO_STATUS)) {
+                return false;
+            }
+            if (this.checkIDPrefix && !normalizeCheckID(checkID || '').startsWith(this.checkIDPrefix)) {
+                return false;
+            }
+            return !this.hasComment || Boolean(comments);
+        },
+
+        /**
+         * Shows or hides every row of the filtered tables and refreshes the counters.
+         * Difference pairs are shown or hidden together with their separator.
+         */
+        apply() {
+            const active = this.isActive();
+
+            Object.keys(this.TABLES).forEach(tableId => {
+                const tbody = doc.querySelector(`#${tableId} tbody`);
+                if (!tbody) return;
+
+                if (tableId === 'differences-table') {
+                    tbody.querySelectorAll('tr[data-source="file"]').forEach(trFile => {
+                        const { trCloud, separator } = differencePairs.get(trFile);
+                        const hidden = active && !this.matches(trFile) && !this.matches(trCloud);
+                        [trFile, trCloud, separator].forEach(tr => tr.classList.toggle('filtered-out', hidden));
+                    });
+                    return;
+                }
+
+                Array.from(tbody.rows)
+                    .filter(tr => !tr.querySelector('td[colspan]'))
+                    .forEach(tr => tr.classList.toggle('filtered-out', active && !this.matches(tr)));
+            });
+
+            updateCounters();
+        },
+
+        /**
+         * Counts the rows of a table left visible by the filter; difference pairs count once.
+         * @param {string} tableId - ID of the table.
+         * @returns {number}
+         */
+        countShown(tableId) {
+            const tbody = doc.querySelector(`#${tableId} tbody`);
+            if (!tbody) return 0;
+
+            const selector = tableId === 'differences-table' ? 'tr[data-source="file"]' : 'tr';
+            return Array.from(tbody.querySelectorAll(selector))
+                .filter(tr => !tr.classList.contains('filtered-out') && !tr.querySelector('td[colspan]'))
+                .length;
+        },
+
+        /**
+         * Re-applies the filter whenever rows are added, moved or removed in a filtered table.
+         * The tables of a previous comparison window are no longer observed.
+         */
+        observe() {
+            if (this.observer) {
+                this.observer.disconnect();
+            }
+            let scheduled = false;
+            this.observer = new MutationObserver(() => {
+                if (scheduled) return;
+                scheduled = true;
+                Promise.resolve().then(() => {
+                    scheduled = false;
+                    this.apply();
+                });
+            });
+
+            Object.keys(this.TABLES).forEach(tableId => {
+                const tbody = doc.querySelector(`#${tableId} tbody`);
+                if (tbody) {
+                    this.observer.observe(tbody, { childList: true });
+                }
+            });
+        },
+
+        /**
+         * Clears every filter.
+         */
+        reset() {
+            this.text = '';
+            this.statuses.clear();
+            this.checkIDPrefix = '';
+            this.hasComment = false;
+        }
+    };
+
+    /**
+     * Builds the filter bar chips: one per Task Status option plus one for rows without a status.
+     */
+    function renderFilterChips() {
+        const container = doc.getElementById('filter-status-chips');
+        container.innerHTML = getTaskStatusOptions()
+            .concat(TableFilter.NO_STATUS)
+            .map(status => `<button class="chip" data-status="${escapeHTML(status)}">${escapeHTML(status)}</button>`)
+            .join('');
+    }
+
+    /**
+     * Reads the filter bar into TableFilter and applies it.
+     */
+    function updateTableFilter() {
+        TableFilter.text = doc.getElementById('filter-text').value.trim().toLowerCase();
+        TableFilter.checkIDPrefix = doc.getElementById('filter-check-id').value.trim();
+        TableFilter.hasComment = doc.getElementById('filter-has-comment').classList.contains('active');
+        TableFilter.statuses = new Set(
+            Array.from(doc.querySelectorAll('#filter-status-chips .chip.active')).map(chip => chip.dataset.status)
+        );
+        doc.getElementById('filter-bar').classList.toggle('filter-active', TableFilter.isActive());
+        TableFilter.apply();
+    }
+
+    /**
+     * Clears the filter bar and shows every row again.
+     */
+    function clearTableFilter() {
+        doc.getElementById('filter-text').value = '';
+        doc.getElementById('filter-check-id').value = '';
+        doc.querySelectorAll('#filter-bar .chip.active').forEach(chip => chip.classList.remove('active'));
+        TableFilter.reset();
+        doc.getElementById('filter-bar').classList.remove('filter-active');
+        TableFilter.apply();
+    }
+
+    /**
+     * Updates the numeric counter in the given table's title, as "shown / total" while a filter is active.
      * @param {string} titleElementId - The ID of the title element.
      * @param {number} count - The new count value to display.
      */
@@ -530,7 +2572,9 @@
             const textContent = titleElement.textContent;
             const dashIndex = textContent.indexOf(': ');
             const baseTitle = dashIndex !== -1 ? textContent.substring(0, dashIndex) : textContent;
-            titleElement.textContent = `${baseTitle}: ${count}`;
+            const tableId = Object.keys(TableFilter.TABLES).find(id => TableFilter.TABLES[id] === titleElementId);
+            const shown = TableFilter.isActive() && tableId ? `${TableFilter.countShown(tableId)} / ` : '';
+            titleElement.textContent = `${baseTitle}: ${shown}${count}`;
         }
     }
 
@@ -552,6 +2596,16 @@
         return escapeHTML(valueToShow);
     }
 
+    /**
+     * Renders the match confidence of a difference pair as a colored percentage.
+     * @param {number} confidence - Confidence from 0 to 1.
+     * @returns {string} - HTML string.
+     */
+    function renderConfidence(confidence) {
+        const level = confidence >= 0.85 ? 'high' : confidence >= 0.65 ? 'medium' : 'low';
+        return `<span class="confidence confidence-${level}" title="Match confidence">${Math.round(confidence * 100)}%</span>`;
+    }
+
     /**
      * Returns the Task Status options.
      * @returns {Array<string>}
@@ -560,135 +2614,277 @@
         return taskStatusOptions;
     }
 
+    /**
+     * Maps Task Status values used in files ("N/A", "OK", a hyphen instead of an en dash, ...) to the
+     * options of the CLM picklist. The alias table is edited in the comparison window and kept in localStorage.
+     */
+    const StatusAliases = {
+        STORAGE_KEY: 'statusAliases',
+        DEFAULTS: {
+            'N/A': 'Not Done – Not Applicable',
+            'NA': 'Not Done – Not Applicable',
+            'Not Applicable': 'Not Done – Not Applicable',
+            'OK': 'Pass',
+            'Passed': 'Pass',
+            'NOK': 'Fail',
+            'Failed': 'Fail'
+        },
+
+        /**
+         * @returns {Object<string, string>} - CLM option per file value.
+         */
+        load() {
+            return LocalStore.get(this.STORAGE_KEY, this.DEFAULTS);
+        },
+
+        /**
+         * @param {Object<string, string>} aliases - CLM option per file value.
+         */
+        save(aliases) {
+            LocalStore.set(this.STORAGE_KEY, aliases);
+        },
+
+        /**
+         * Normalizes a status for comparison: any dash becomes "-", whitespace is collapsed, case is ignored.
+         * @param {string} value
+         * @returns {string}
+         */
+        normalize(value) {
+            return (value || "").replace(/[\u2010-\u2015\u2212]/g, '-').replace(/\s+/g, ' ').trim().toLowerCase();
+        },
+
+        /**
+         * Finds the picklist option for a file value, directly or through an alias.
+         * @param {string} value - Task Status from the file.
+         * @param {Array<string>} [options] - Picklist options.
+         * @returns {string|null} - The option, the empty string for an empty value, or null when unmapped.
+         */
+        resolve(value, options = getTaskStatusOptions()) {
+            if (!value) {
+                return "";
+            }
+            const findOption = text => options.find(option => this.normalize(option) === this.normalize(text));
+
+            const direct = findOption(value);
+            if (direct) {
+                return direct;
+            }
+            const aliases = this.load();
+            const alias = Object.keys(aliases).find(key => this.normalize(key) === this.normalize(value));
+            return alias === undefined ? null : findOption(aliases[alias]) || null;
+        }
+    };
+
     // Display functions
 
+    // Side whose value a resolved difference pair keeps, per field, unless another side is picked.
+    // Check Description, Manual Reference and Check ID always come from Cloud: the fill finds the
+    // grid row by them and never writes them.
+    const DEFAULT_WINNERS = {
+        "Task Status": 'file',
+        "Technician Comments": 'file'
+    };
+
+    // File row, Cloud row and separator of each difference pair, keyed by the File row
+    const differencePairs = new WeakMap();
+    let differencePairCount = 0;
+
     /**
-     * Displays rows with differences in the Differences table.
-     * @param {Array<Object>} differences - Array of differing row objects.
+     * Renders the radio picking which side of a difference pair wins a mismatched field.
+     * @param {number} pairIndex - Index of the pair in the table.
+     * @param {string} field - Column caption.
+     * @param {string} side - 'file' or 'cloud'.
+     * @returns {string} - HTML string.
      */
-    function displayDifferences(differences) {
-        const tbody = doc.querySelector('#differences-table tbody');
-        const fragment = doc.createDocumentFragment();
+    function renderWinnerControl(pairIndex, field, side) {
+        return `<input type="radio" class="winner-radio" name="winner-${pairIndex}-${escapeHTML(field)}"
+            value="${side}" data-field="${escapeHTML(field)}" title="Keep this value"
+            ${DEFAULT_WINNERS[field] === side ? 'checked' : ''}>`;
+    }
 
-        if (differences.length === 0) {
-            const tr = doc.createElement('tr');
-            tr.innerHTML = `<td colspan='6'>${messages.noDifferences}</td>`;
-            fragment.appendChild(tr);
-            // Update the counter to 0 for an empty table
-            updateTableCount('differences-title', 0);
-        } else {
-            // Assume differences contains pairs: first row File, second Cloud
-            for (let i = 0; i < differences.length; i += 2) {
-                const fileRow = differences[i];
-                const cloudRow = differences[i + 1];
-
-                if (!fileRow || !cloudRow) {
-                    console.warn(`Mismatched row pairs: file ${fileRow}, cloud ${cloudRow}`);
-                    continue; // Skip incomplete pairs
-                }
+    /**
+     * Lists the fields of DEFAULT_WINNERS whose values differ between the two rows of a pair.
+     * @param {Object} fileRow
+     * @param {Object} cloudRow
+     * @returns {Array<string>} - Column captions.
+     */
+    function getMismatchedFields(fileRow, cloudRow) {
+        return Object.keys(DEFAULT_WINNERS)
+            .filter(field => (fileRow[field] || "").trim() !== (cloudRow[field] || "").trim());
+    }
 
-                // Function to highlight differences
-                function highlightDifference(fileValue, cloudValue) {
-                    return fileValue !== cloudValue
-                        ? `<span class="mismatch">${escapeHTML(fileValue)}</span>`
-                        : escapeHTML(fileValue);
-                }
+    /**
+     * Merges a difference pair into Matching Rows, taking each mismatched field from the side picked
+     * for it (or from DEFAULT_WINNERS) and the identity fields from Cloud, and removes the pair from
+     * the Differences table.
+     * @param {HTMLTableRowElement} trFile - File row of the pair.
+     * @param {boolean} [useDefaults] - Ignore the picked sides and apply DEFAULT_WINNERS.
+     * @returns {boolean} - false when the merged row would have no Task Status; the pair is kept then.
+     */
+    function resolveDifferencePair(trFile, useDefaults = false) {
+        const { trCloud, separator, fileRow, cloudRow, confidence } = differencePairs.get(trFile);
+
+        const mergedRow = {
+            "Check Description": cloudRow["Check Description"],
+            "Manual Reference": cloudRow["Manual Reference"],
+            "Check ID": cloudRow["Check ID"]
+        };
+        Object.keys(DEFAULT_WINNERS).forEach(field => {
+            const picked = !useDefaults && [trFile, trCloud]
+                .map(tr => tr.querySelector(`.winner-radio[data-field="${field}"]:checked`))
+                .find(Boolean);
+            const winner = picked ? picked.value : DEFAULT_WINNERS[field];
+            mergedRow[field] = (winner === 'file' ? fileRow : cloudRow)[field];
+        });
 
-                // Create row for File
-                const trFile = doc.createElement('tr');
-                trFile.innerHTML = `
-                    <td>${highlightDifference(fileRow["Check Description"], cloudRow["Check Description"])}</td>
-                    <td>${escapeHTML(fileRow["Task Status"])}</td>
-                    <td>${escapeHTML(fileRow["Technician Comments"])}</td>
-                    <td>${highlightDifference(fileRow["Manual Reference"], cloudRow["Manual Reference"])}</td>
-                    <td>${highlightDifference(fileRow["Check ID"], cloudRow["Check ID"])}</td>
-                    <td style="display: flex; align-items: center; justify-content: space-between;">
-                        <!-- Icon -->
-                        <svg class="icon" viewBox="0 0 24 24" fill="none" stroke="#2196F3" stroke-width="2">
-                            <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/>
-                            <polyline points="14 2 14 8 20 8"/>
-                        </svg>
-                        <button class="validate-button" style="display: flex; padding: 2px 4px; align-items: center; justify-content: center;">
-                            <svg viewBox="0 0 48 24" width="24" height="12" fill="none" stroke="#FFFFFF" stroke-width="2">
-                                <title>Copy rows to the Matching rows</title>
-                                <path d="M3.8 3c0 5.3 4.6 7.3 8.1 7.5v-4.4l9.3 7.3-9.3 7.2v-3.9q-.9 0-1.7-.2-0.8-.2-1.5-.5-0.8-.4-1.5-.9t-1.2-1.1q-3.5-3.8-3-11z"/>
-                                <path d="M41.8 7.2q-.1 0-.3.1h-.5q-.1.1-.3.1-.3-.6-.9-1.1t-1.1-.8q-.6-.4-1.3-.6t-1.4-.2q-1.1.1-2.1.5-.9.4-1.7 1.1-0.8.7-1.3 1.7-0.5.9-0.6 2-.2-.1-.3-.1t-.3-.1h-.3q-.2-.1-.4-.1-.7.1-1.3.4t-1.2.8q-.5.5-.7 1.2-.3.7-.2 1.4-.1.7.2 1.4t.7 1.2q.5.5 1.2.8t1.3.4h12.8q1-.1 1.8-.5.9-.4 1.6-1.1t.9-1.6q.4-.9.3-1.8.1-1-.3-1.9t-.9-1.6q-.7-.7-1.6-1.1t-1.8-.5z"/>
-                            </svg>
-                        </button>
-                    </td>
-                `;
+        // Check for necessary data
+        if (!mergedRow["Task Status"]) {
+            return false;
+        }
 
-                // Create row for Cloud
-                const trCloud = doc.createElement('tr');
-                trCloud.innerHTML = `
-                    <td>${highlightDifference(cloudRow["Check Description"], fileRow["Check Description"])}</td>
-                    <td>${escapeHTML(cloudRow["Task Status"])}</td>
-                    <td>${escapeHTML(cloudRow["Technician Comments"])}</td>
-                    <td>${highlightDifference(cloudRow["Manual Reference"], fileRow["Manual Reference"])}</td>
-                    <td>${highlightDifference(cloudRow["Check ID"], fileRow["Check ID"])}</td>
-                    <td>
-                        <!-- Source Icon Cloud -->
-                        <svg class="icon" viewBox="0 0 24 24" fill="none" stroke="#00A1E0" stroke-width="2">
-                            <path d="M17.8 8.2q-0.1 0-0.3 0.1-0.1 0-0.2 0-0.2 0-0.3 0-0.1 0.1-0.3 0.1-0.3-0.6-0.9-1.1-0.5-0.5-1.1-0.8-0.6-0.4-1.3-0.6-0.7-0.2-1.4-0.2-1.1 0.1-2.1 0.5-0.9 0.4-1.7 1.1-0.8 0.7-1.3 1.7-0.5 0.9-0.6 2-0.2-0.1-0.3-0.1-0.2-0.1-0.3-0.1-0.2 0-0.3 0-0.2-0.1-0.4-0.1-0.7 0.1-1.3 0.4-0.7 0.3-1.2 0.8-0.5 0.5-0.7 1.2-0.3 0.7-0.2 1.4-0.1 0.7 0.2 1.4 0.2 0.7 0.7 1.2 0.5 0.5 1.2 0.8 0.6 0.3 1.3 0.4h12.8q1-0.1 1.8-0.5 0.9-0.4 1.6-1.1 0.6-0.7 0.9-1.6 0.4-0.9 0.3-1.8 0.1-1-0.3-1.9-0.3-0.9-0.9-1.6-0.7-0.7-1.6-1.1-0.8-0.4-1.8-0.5z"/>
-                        </svg>
-                    </td>
-                `;
+        // Move to Matching Rows
+        addToMatchingRows(mergedRow, { table: 'differences', fileRow, cloudRow, confidence });
 
-                // Append rows to the fragment
-                fragment.appendChild(trFile);
-                fragment.appendChild(trCloud);
+        // Remove current rows from the Differences table
+        trFile.remove();
+        trCloud.remove();
+        separator.remove();
+        return true;
+    }
 
-                // Separator between pairs
-                const separator = doc.createElement('tr');
-                separator.innerHTML = '<td colspan="6" style="border-bottom: 2px solid #ccc"></td>';
-                fragment.appendChild(separator);
+    /**
+     * Restores the empty message and the counters after difference pairs were resolved.
+     */
+    function updateDifferencesTable() {
+        const tbody = doc.querySelector('#differences-table tbody');
 
-                // Add event listeners for the Validate button
-                const validateButton = trFile.querySelector('.validate-button');
-                validateButton.addEventListener('click', () => {
-                    const selectedStatus = trFile.cells[1].textContent.trim();
-                    const comments = trFile.cells[2].textContent.trim();
+        // If the table is empty after removal
+        if (!tbody.querySelector('tr[data-source]')) {
+            tbody.innerHTML = `<tr><td colspan='6'>${messages.noDifferences}</td></tr>`;
+        }
 
-                    // Check for necessary data
-                    if (!selectedStatus) {
-                        alert(messages.selectStatus);
-                        return;
-                    }
+        // Update counters for both differences and matching tables
+        updateTableCount('differences-title', countDifferences());
+        const matchingRows = doc.querySelectorAll('#matching-table tbody tr').length;
+        updateTableCount('matching-title', matchingRows);
+    }
 
-                    // Create a validated row with data from Cloud and File
-                    const validatedRow = {
-                        "Check Description": cloudRow["Check Description"], // from Cloud
-                        "Task Status": selectedStatus,                       // from File
-                        "Technician Comments": comments,                    // from File
-                        "Manual Reference": cloudRow["Manual Reference"],   // from Cloud
-                        "Check ID": cloudRow["Check ID"]                   // from Cloud
-                    };
+    /**
+     * Resolves every pair of the Differences table with DEFAULT_WINNERS.
+     */
+    function resolveAllDifferences() {
+        const skipped = Array.from(doc.querySelectorAll('#differences-table tbody tr[data-source="file"]'))
+            .filter(trFile => !resolveDifferencePair(trFile, true)).length;
+        updateDifferencesTable();
+
+        if (skipped > 0) {
+            alert(`${messages.selectStatus} (${skipped} pairs have no Task Status in the file and were kept)`);
+        }
+    }
 
-                    // Move to Matching Rows
-                    addToMatchingRows(validatedRow);
+    /**
+     * Creates the File row, Cloud row and separator of a difference pair, with its Validate handler.
+     * @param {Object} fileRow - Row from the file.
+     * @param {Object} cloudRow - Row from the cloud.
+     * @param {number} confidence - Match confidence of the pair.
+     * @returns {Array<HTMLTableRowElement>}
+     */
+    function createDifferencePair(fileRow, cloudRow, confidence) {
+        // Radio groups must stay unique when pairs are sent back from Matching Rows
+        const pairIndex = differencePairCount++;
+
+        // Function to highlight differences
+        function highlightDifference(fileValue, cloudValue) {
+            return fileValue !== cloudValue
+                ? `<span class="mismatch">${escapeHTML(fileValue)}</span>`
+                : escapeHTML(fileValue);
+        }
 
-                    // Remove current rows from the Differences table
-                    trFile.remove();
-                    trCloud.remove();
-                    separator.remove();
+        // Winner radios for the fields that differ
+        const mismatched = getMismatchedFields(fileRow, cloudRow);
+        const winner = (field, side) => mismatched.includes(field) ? renderWinnerControl(pairIndex, field, side) : '';
+
+        // Create row for File
+        const trFile = doc.createElement('tr');
+        trFile.dataset.source = 'file';
+        trFile.innerHTML = `
+            <td>${highlightDifference(fileRow["Check Description"], cloudRow["Check Description"])}</td>
+            <td>${winner("Task Status", 'file')}${escapeHTML(fileRow["Task Status"])}</td>
+            <td>${winner("Technician Comments", 'file')}${escapeHTML(fileRow["Technician Comments"])}</td>
+            <td>${highlightDifference(fileRow["Manual Reference"], cloudRow["Manual Reference"])}</td>
+            ${renderCheckIDCell(fileRow, highlightDifference(fileRow["Check ID"], cloudRow["Check ID"]))}
+            <td style="display: flex; align-items: center; justify-content: space-between;">
+                <!-- Icon -->
+                <svg class="icon" viewBox="0 0 24 24" fill="none" stroke="#2196F3" stroke-width="2">
+                    <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/>
+                    <polyline points="14 2 14 8 20 8"/>
+                </svg>
+                <button class="validate-button" style="display: flex; padding: 2px 4px; align-items: center; justify-content: center;">
+                    <svg viewBox="0 0 48 24" width="24" height="12" fill="none" stroke="#FFFFFF" stroke-width="2">
+                        <title>Copy rows to the Matching rows</title>
+                        <path d="M3.8 3c0 5.3 4.6 7.3 8.1 7.5v-4.4l9.3 7.3-9.3 7.2v-3.9q-.9 0-1.7-.2-0.8-.2-1.5-.5-0.8-.4-1.5-.9t-1.2-1.1q-3.5-3.8-3-11z"/>
+                        <path d="M41.8 7.2q-.1 0-.3.1h-.5q-.1.1-.3.1-.3-.6-.9-1.1t-1.1-.8q-.6-.4-1.3-.6t-1.4-.2q-1.1.1-2.1.5-.9.4-1.7 1.1-0.8.7-1.3 1.7-0.5.9-0.6 2-.2-.1-.3-.1t-.3-.1h-.3q-.2-.1-.4-.1-.7.1-1.3.4t-1.2.8q-.5.5-.7 1.2-.3.7-.2 1.4-.1.7.2 1.4t.7 1.2q.5.5 1.2.8t1.3.4h12.8q1-.1 1.8-.5.9-.4 1.6-1.1t.9-1.6q.4-.9.3-1.8.1-1-.3-1.9t-.9-1.6q-.7-.7-1.6-1.1t-1.8-.5z"/>
+                    </svg>
+                </button>
+            </td>
+        `;
 
-                    // Update the differences counter after removal
-                    const diffCount = countDifferences();
-                    updateTableCount('differences-title', diffCount);
+        // Create row for Cloud
+        const trCloud = doc.createElement('tr');
+        trCloud.dataset.source = 'cloud';
+        trCloud.innerHTML = `
+            <td>${highlightDifference(cloudRow["Check Description"], fileRow["Check Description"])}</td>
+            <td>${winner("Task Status", 'cloud')}${escapeHTML(cloudRow["Task Status"])}</td>
+            <td>${winner("Technician Comments", 'cloud')}${escapeHTML(cloudRow["Technician Comments"])}</td>
+            <td>${highlightDifference(cloudRow["Manual Reference"], fileRow["Manual Reference"])}</td>
+            ${renderCheckIDCell(cloudRow, highlightDifference(cloudRow["Check ID"], fileRow["Check ID"]))}
+            <td style="display: flex; align-items: center; justify-content: space-between;">
+                <!-- Source Icon Cloud -->
+                <svg class="icon" viewBox="0 0 24 24" fill="none" stroke="#00A1E0" stroke-width="2">
+                    <path d="M17.8 8.2q-0.1 0-0.3 0.1-0.1 0-0.2 0-0.2 0-0.3 0-0.1 0.1-0.3 0.1-0.3-0.6-0.9-1.1-0.5-0.5-1.1-0.8-0.6-0.4-1.3-0.6-0.7-0.2-1.4-0.2-1.1 0.1-2.1 0.5-0.9 0.4-1.7 1.1-0.8 0.7-1.3 1.7-0.5 0.9-0.6 2-0.2-0.1-0.3-0.1-0.2-0.1-0.3-0.1-0.2 0-0.3 0-0.2-0.1-0.4-0.1-0.7 0.1-1.3 0.4-0.7 0.3-1.2 0.8-0.5 0.5-0.7 1.2-0.3 0.7-0.2 1.4-0.1 0.7 0.2 1.4 0.2 0.7 0.7 1.2 0.5 0.5 1.2 0.8 0.6 0.3 1.3 0.4h12.8q1-0.1 1.8-0.5 0.9-0.4 1.6-1.1 0.6-0.7 0.9-1.6 0.4-0.9 0.3-1.8 0.1-1-0.3-1.9-0.3-0.9-0.9-1.6-0.7-0.7-1.6-1.1-0.8-0.4-1.8-0.5z"/>
+                </svg>
+                ${renderConfidence(confidence)}
+            </td>
+        `;
 
-                    // If the table is empty after removal
-                    if (tbody.querySelectorAll('tr').length === 0) {
-                        const newTr = doc.createElement('tr');
-                        newTr.innerHTML = `<td colspan='6'>${messages.noDifferences}</td>`;
-                        tbody.appendChild(newTr);
-                        updateTableCount('differences-title', 0);
-                    }
+        // Separator between pairs
+        const separator = doc.createElement('tr');
+        separator.innerHTML = '<td colspan="6" style="border-bottom: 2px solid #ccc"></td>';
+        differencePairs.set(trFile, { trCloud, separator, fileRow, cloudRow, confidence });
 
-                    // Update counters for both differences and matching tables
-                    const matchingRows = doc.querySelectorAll('#matching-table tbody tr').length;
-                    updateTableCount('matching-title', matchingRows);
-                });
+        // Add event listeners for the Validate button
+        const validateButton = trFile.querySelector('.validate-button');
+        validateButton.addEventListener('click', () => {
+            if (!resolveDifferencePair(trFile)) {
+                alert(messages.selectStatus);
+                return;
             }
+            updateDifferencesTable();
+        });
+
+        return [trFile, trCloud, separator];
+    }
+
+    /**
+     * Displays rows with differences in the Differences table.
+     * A mismatched Task Status or Technician Comments gets a radio on both sides to pick the value
+     * that is kept on Validate.
+     * @param {Array<{file: Object, cloud: Object, confidence: number}>} differences - Paired rows and their match confidence.
+     */
+    function displayDifferences(differences) {
+        const tbody = doc.querySelector('#differences-table tbody');
+        const fragment = doc.createDocumentFragment();
+
+        if (differences.length === 0) {
+            const tr = doc.createElement('tr');
+            tr.innerHTML = `<td colspan='6'>${messages.noDifferences}</td>`;
+            fragment.appendChild(tr);
+            // Update the counter to 0 for an empty table
+            updateTableCount('differences-title', 0);
+        } else {
+            differences.forEach(({ file: fileRow, cloud: cloudRow, confidence }) => {
+                createDifferencePair(fileRow, cloudRow, confidence).forEach(tr => fragment.appendChild(tr));
+            });
         }
 
         tbody.innerHTML = '';
@@ -699,6 +2895,9 @@
         updateTableCount('differences-title', diffCount);
     }
 
+    // Row object of each row in the Rows Not Found in Cloud table
+    const missingCloudRowData = new WeakMap();
+
     /**
      * Displays rows that are missing in Cloud.
      * @param {Array<Object>} missingRows - Array of row objects missing in the Cloud.
@@ -719,7 +2918,7 @@
                     <td>${escapeHTML(row["Task Status"])}</td>
                     <td>${escapeHTML(row["Technician Comments"])}</td>
                     <td>${escapeHTML(row["Manual Reference"])}</td>
-                    <td>${escapeHTML(row["Check ID"])}</td>
+                    ${renderCheckIDCell(row)}
                     <td>
                         <!-- Source Icon File -->
                         <svg class="icon" viewBox="0 0 24 24" fill="none" stroke="#2196F3" stroke-width="2">
@@ -728,6 +2927,7 @@
                         </svg>
                     </td>
                 `;
+                missingCloudRowData.set(tr, row);
                 fragment.appendChild(tr);
             });
         }
@@ -741,102 +2941,198 @@
         }
     }
 
+    // Row object of each row in the Rows Not Found in File table
+    const missingFileRowData = new WeakMap();
+
     /**
      * Displays rows that are missing in File.
+     * Rows can be selected with their checkbox and given a status in bulk (see the bulk bar).
      * @param {Array<Object>} missingRows - Array of row objects missing in File.
      */
     function displayMissingRowsInFile(missingRows) {
         const tbody = doc.querySelector('#missing-rows-file-table tbody');
         const fragment = doc.createDocumentFragment();
+        const taskStatusOptions = getTaskStatusOptions();
+        const statusOptionsHTML = taskStatusOptions
+            .map(option => `<option value="${escapeHTML(option)}">${escapeHTML(option)}</option>`)
+            .join('');
 
         if (missingRows.length === 0) {
             const tr = doc.createElement('tr');
             tr.innerHTML = `<td colspan='6'>${messages.noMissingInFile}</td>`;
             fragment.appendChild(tr);
         } else {
-            const taskStatusOptions = getTaskStatusOptions();
+            missingRows.forEach(row => {
+                fragment.appendChild(createMissingFileRow(row, statusOptionsHTML));
+            });
+        }
+
+        tbody.innerHTML = '';
+        tbody.appendChild(fragment);
+
+        doc.getElementById('bulk-status-select').innerHTML = `<option value="">Select Status</option>${statusOptionsHTML}`;
+        updateBulkBar();
+
+        const missingFileTitle = doc.getElementById('missing-file-title');
+        if (missingFileTitle) {
+            missingFileTitle.textContent = `Rows Not Found in File: ${missingRows.length}`;
+        }
+    }
+
+    /**
+     * Creates a row of the Rows Not Found in File table with its status picker, comment input and Validate handler.
+     * @param {Object} row - Row object from the cloud.
+     * @param {string} statusOptionsHTML - The Task Status options as HTML.
+     * @returns {HTMLTableRowElement}
+     */
+    function createMissingFileRow(row, statusOptionsHTML) {
+        const tr = doc.createElement('tr');
+        tr.innerHTML = `
+            <td>${escapeHTML(row["Check Description"])}</td>
+            <td class="editable-cell">
+                <select class="task-status-select">
+                    <option value="">Select Status</option>
+                    ${statusOptionsHTML}
+                </select>
+            </td>
+            <td class="editable-cell">
+                <input type="text" class="tech-comments-input" placeholder="Enter comments">
+            </td>
+            <td>${escapeHTML(row["Manual Reference"])}</td>
+            ${renderCheckIDCell(row)}
+            <td>
+                <input type="checkbox" class="row-select" title="Select row">
+                <button class="validate-button" disabled>Validate</button>
+            </td>
+        `;
+        missingFileRowData.set(tr, row);
+
+        const validateButton = tr.querySelector('.validate-button');
+        const statusSelect = tr.querySelector('.task-status-select');
+
+        // Enable the Validate button when a status is selected
+        statusSelect.addEventListener('change', function () {
+            if (this.value) {
+                validateButton.disabled = false;
+            } else {
+                validateButton.disabled = true;
+            }
+        });
 
-            missingRows.forEach(row => {
-                const tr = doc.createElement('tr');
-                tr.innerHTML = `
-                    <td>${escapeHTML(row["Check Description"])}</td>
-                    <td class="editable-cell">
-                        <select class="task-status-select">
-                            <option value="">Select Status</option>
-                            ${taskStatusOptions
-                                .map(
-                                    option =>
-                                        `<option value="${escapeHTML(option)}">${escapeHTML(option)}</option>`
-                                )
-                                .join('')}
-                        </select>
-                    </td>
-                    <td class="editable-cell">
-                        <input type="text" class="tech-comments-input" placeholder="Enter comments">
-                    </td>
-                    <td>${escapeHTML(row["Manual Reference"])}</td>
-                    <td>${escapeHTML(row["Check ID"])}</td>
-                    <td>
-                        <button class="validate-button" disabled>Validate</button>
-                    </td>
-                `;
+        validateButton.addEventListener('click', function () {
+            // Validate that a Task Status has been selected
+            if (!validateMissingFileRow(tr)) {
+                alert(messages.selectStatus);
+                return;
+            }
+            updateMissingFileTable();
+        });
 
-                const validateButton = tr.querySelector('.validate-button');
-                const statusSelect = tr.querySelector('.task-status-select');
+        tr.querySelector('.row-select').addEventListener('change', updateBulkBar);
+        return tr;
+    }
 
-                // Enable the Validate button when a status is selected
-                statusSelect.addEventListener('change', function () {
-                    if (this.value) {
-                        validateButton.disabled = false;
-                    } else {
-                        validateButton.disabled = true;
-                    }
-                });
+    /**
+     * Moves a row of the Rows Not Found in File table to Matching Rows with the status and comments entered in it.
+     * @param {HTMLTableRowElement} tr - Table row.
+     * @returns {boolean} - false when the row has no Task Status selected.
+     */
+    function validateMissingFileRow(tr) {
+        // Retrieve the selected Task Status and Technician Comments
+        const selectedStatus = tr.querySelector('.task-status-select').value.trim();
+        const comments = tr.querySelector('.tech-comments-input').value.trim();
+        if (!selectedStatus) {
+            return false;
+        }
 
-                validateButton.addEventListener('click', function () {
-                    // Retrieve the selected Task Status and Technician Comments
-                    const selectedStatus = tr.querySelector('.task-status-select').value.trim();
-                    const comments = tr.querySelector('.tech-comments-input').value.trim();
+        // Copy the row: the grid row read into cloudData must keep its current values
+        const row = {
+            ...missingFileRowData.get(tr),
+            "Task Status": selectedStatus,
+            "Technician Comments": comments
+        };
+
+        // Move row to Matching
+        addToMatchingRows(row, { table: 'missing-file' });
+        tr.remove();
+        return true;
+    }
 
-                    // Validate that a Task Status has been selected
-                    if (!selectedStatus) {
-                        alert(messages.selectStatus);
-                        return;
-                    }
+    /**
+     * Restores the empty message and the counter of the Rows Not Found in File table after rows were validated.
+     */
+    function updateMissingFileTable() {
+        const tbody = doc.querySelector('#missing-rows-file-table tbody');
+
+        // If the table is empty after removal
+        if (tbody.children.length === 0) {
+            const newTr = doc.createElement('tr');
+            newTr.innerHTML = `<td colspan='6'>${messages.noMissingInFile}</td>`;
+            tbody.appendChild(newTr);
+        }
 
-                    // Update row data
-                    row["Task Status"] = selectedStatus;
-                    row["Technician Comments"] = comments;
+        // Count how many rows remain (excluding any single message row that has colspan)
+        const remainingRows = Array.from(
+            doc.querySelectorAll('#missing-rows-file-table tbody tr')
+        ).filter(tr => !tr.querySelector('td[colspan="6"]')).length;
 
-                    // Move row to Matching
-                    addToMatchingRows(row);
-                    tr.remove();
+        updateTableCount('missing-file-title', remainingRows);
+        updateBulkBar();
+    }
 
-                    // If the table is empty after removal
-                    if (tbody.children.length === 0) {
-                        const newTr = doc.createElement('tr');
-                        newTr.innerHTML = `<td colspan='6'>${messages.noMissingInFile}</td>`;
-                        tbody.appendChild(newTr);
-                    }
+    /**
+     * Returns the selected rows of the Rows Not Found in File table.
+     * @returns {Array<HTMLTableRowElement>}
+     */
+    function getSelectedMissingFileRows() {
+        return Array.from(doc.querySelectorAll('#missing-rows-file-table tbody .row-select:checked'))
+            .map(checkbox => checkbox.closest('tr'));
+    }
 
-                    // Count how many rows remain (excluding any single message row that has colspan)
-                    const remainingRows = Array.from(
-                        doc.querySelectorAll('#missing-rows-file-table tbody tr')
-                    ).filter(tr => !tr.querySelector('td[colspan="6"]')).length;
+    /**
+     * Shows the bulk bar while rows are selected and keeps the select-all checkbox in sync.
+     */
+    function updateBulkBar() {
+        const checkboxes = doc.querySelectorAll('#missing-rows-file-table tbody .row-select');
+        const selected = getSelectedMissingFileRows().length;
+        const selectAll = doc.getElementById('select-all-missing-file');
+
+        selectAll.checked = checkboxes.length > 0 && selected === checkboxes.length;
+        selectAll.indeterminate = selected > 0 && selected < checkboxes.length;
+        doc.getElementById('missing-file-selected-count').textContent = `${selected} selected`;
+        doc.getElementById('missing-file-bulk-bar').classList.toggle('hidden', selected === 0);
+    }
 
-                    updateTableCount('missing-file-title', remainingRows);
-                });
+    /**
+     * Sets the bulk bar's Task Status, and its comments when entered, on all selected rows.
+     */
+    function applyBulkValues() {
+        const status = doc.getElementById('bulk-status-select').value;
+        const comments = doc.getElementById('bulk-comments-input').value.trim();
 
-                fragment.appendChild(tr);
-            });
-        }
+        getSelectedMissingFileRows().forEach(tr => {
+            if (status) {
+                const statusSelect = tr.querySelector('.task-status-select');
+                statusSelect.value = status;
+                statusSelect.dispatchEvent(new Event('change'));
+            }
+            // Empty bulk comments keep what was typed per row
+            if (comments) {
+                tr.querySelector('.tech-comments-input').value = comments;
+            }
+        });
+    }
 
-        tbody.innerHTML = '';
-        tbody.appendChild(fragment);
+    /**
+     * Moves all selected rows that have a Task Status to Matching Rows.
+     */
+    function validateSelectedMissingFileRows() {
+        const rows = getSelectedMissingFileRows();
+        const skipped = rows.filter(tr => !validateMissingFileRow(tr)).length;
+        updateMissingFileTable();
 
-        const missingFileTitle = doc.getElementById('missing-file-title');
-        if (missingFileTitle) {
-            missingFileTitle.textContent = `Rows Not Found in File: ${missingRows.length}`;
+        if (skipped > 0) {
+            alert(`${messages.selectStatus} (${skipped} selected rows have no Task Status)`);
         }
     }
 
@@ -851,6 +3147,9 @@
         return validateButtons.length;
     }
 
+    // Row object and origin of each row in the Matching Rows table
+    const rowModels = new WeakMap();
+
     /**
      * Displays matching rows in the Matching table.
      * @param {Array<Object>} matching - Array of row objects that match in both File and Cloud.
@@ -860,21 +3159,10 @@
         const fragment = doc.createDocumentFragment();
 
         if (matching.length === 0) {
-            const tr = doc.createElement('tr');
-            tr.classList.add('no-matching');
-            tr.innerHTML = `<td colspan='5'>${messages.noMatching}</td>`;
-            fragment.appendChild(tr);
+            fragment.appendChild(createNoMatchingRow());
         } else {
             matching.forEach(row => {
-                const tr = doc.createElement('tr');
-                tr.innerHTML = `
-                    <td>${escapeHTML(row["Check Description"])}</td>
-                    <td>${escapeHTML(row["Task Status"])}</td>
-                    <td>${escapeHTML(row["Technician Comments"])}</td>
-                    <td>${escapeHTML(row["Manual Reference"])}</td>
-                    <td>${escapeHTML(row["Check ID"])}</td>
-                `;
-                fragment.appendChild(tr);
+                fragment.appendChild(createMatchingRow(row));
             });
         }
 
@@ -889,11 +3177,70 @@
         updateCopyButtonState();
     }
 
+    /**
+     * @returns {HTMLTableRowElement} - The "No matching rows found" row.
+     */
+    function createNoMatchingRow() {
+        const tr = doc.createElement('tr');
+        tr.classList.add('no-matching');
+        tr.innerHTML = `<td colspan='6'>${messages.noMatching}</td>`;
+        return tr;
+    }
+
+    /**
+     * Creates an editable row of the Matching table: Task Status is a picklist, comments are a text
+     * area, and the row can be excluded from the fill or sent back to the table it came from.
+     * @param {Object} row - Row object keyed by column caption.
+     * @param {{table: string}|null} [origin] - Where the row was validated: 'differences' (with fileRow,
+     *        cloudRow and confidence of the pair) or 'missing-file'; null when it matched right away.
+     * @returns {HTMLTableRowElement}
+     */
+    function createMatchingRow(row, origin = null) {
+        const options = getTaskStatusOptions();
+        const status = row["Task Status"] || "";
+        // Keep a status that is not a picklist option, so it can still be mapped with an alias
+        const choices = status && !options.includes(status) ? [status, ...options] : options;
+
+        const tr = doc.createElement('tr');
+        tr.innerHTML = `
+            <td>${escapeHTML(row["Check Description"])}</td>
+            <td class="editable-cell">
+                <select class="task-status-select">
+                    <option value="">Select Status</option>
+                    ${choices.map(option => `
+                        <option value="${escapeHTML(option)}" ${option === status ? 'selected' : ''}>${escapeHTML(option)}</option>
+                    `).join('')}
+                </select>
+            </td>
+            <td class="editable-cell">
+                <textarea class="tech-comments-input" rows="1" placeholder="Enter comments">${escapeHTML(row["Technician Comments"])}</textarea>
+            </td>
+            <td>${escapeHTML(row["Manual Reference"])}</td>
+            ${renderCheckIDCell(row)}
+            <td class="matching-actions">
+                <input type="checkbox" class="include-row" title="Include in the fill" checked>
+                ${origin ? '<button class="validate-button send-back-button" title="Return the row to the table it came from">Send back</button>' : ''}
+            </td>
+        `;
+        rowModels.set(tr, { row, origin });
+
+        tr.querySelector('.include-row').addEventListener('change', function () {
+            tr.classList.toggle('excluded-row', !this.checked);
+            updateCopyButtonState();
+        });
+        const sendBackButton = tr.querySelector('.send-back-button');
+        if (sendBackButton) {
+            sendBackButton.addEventListener('click', () => sendBackMatchingRow(tr));
+        }
+        return tr;
+    }
+
     /**
      * Adds a single row object to the Matching rows table.
      * @param {Object} row - The row object to add.
+     * @param {{table: string}|null} [origin] - Table the row was validated in (see createMatchingRow).
      */
-    function addToMatchingRows(row) {
+    function addToMatchingRows(row, origin = null) {
         const tbody = doc.querySelector('#matching-table tbody');
 
         // If table has a "No matching rows found" message
@@ -902,24 +3249,604 @@
             tbody.innerHTML = '';
         }
 
-        const tr = doc.createElement('tr');
-        tr.innerHTML = `
-            <td>${escapeHTML(row["Check Description"])}</td>
-            <td>${escapeHTML(row["Task Status"])}</td>
-            <td>${escapeHTML(row["Technician Comments"])}</td>
-            <td>${escapeHTML(row["Manual Reference"])}</td>
-            <td>${escapeHTML(row["Check ID"])}</td>
-        `;
-        tbody.appendChild(tr);
+        tbody.appendChild(createMatchingRow(row, origin));
 
         // Update count in matching table
-        const matchingRows = doc.querySelectorAll('#matching-table tbody tr').length;
-        updateTableCount('matching-title', matchingRows);
+        updateTableCount('matching-title', countTableRows('matching-table', true));
+        updateCopyButtonState();
+    }
+
+    /**
+     * Returns a validated row from Matching Rows to the table it came from: a difference pair is
+     * restored as it was, a row not found in file comes back with the status and comments entered.
+     * @param {HTMLTableRowElement} tr - Row of the Matching table.
+     */
+    function sendBackMatchingRow(tr) {
+        const { row, origin } = rowModels.get(tr);
+
+        if (origin.table === 'differences') {
+            const tbody = doc.querySelector('#differences-table tbody');
+            // Drop the "No differences found" message
+            if (!tbody.querySelector('tr[data-source]')) {
+                tbody.innerHTML = '';
+            }
+            createDifferencePair(origin.fileRow, origin.cloudRow, origin.confidence).forEach(pairRow => tbody.appendChild(pairRow));
+            updateDifferencesTable();
+        } else {
+            const tbody = doc.querySelector('#missing-rows-file-table tbody');
+            if (tbody.querySelector('td[colspan]')) {
+                tbody.innerHTML = '';
+            }
+            const statusOptionsHTML = getTaskStatusOptions()
+                .map(option => `<option value="${escapeHTML(option)}">${escapeHTML(option)}</option>`)
+                .join('');
+            const missingRow = createMissingFileRow(row, statusOptionsHTML);
+            const statusSelect = missingRow.querySelector('.task-status-select');
+            statusSelect.value = tr.querySelector('.task-status-select').value;
+            statusSelect.dispatchEvent(new Event('change'));
+            missingRow.querySelector('.tech-comments-input').value = tr.querySelector('.tech-comments-input').value;
+            tbody.appendChild(missingRow);
+            updateMissingFileTable();
+        }
+
+        tr.remove();
+        const matchingBody = doc.querySelector('#matching-table tbody');
+        if (matchingBody.children.length === 0) {
+            matchingBody.appendChild(createNoMatchingRow());
+        }
+        updateTableCount('matching-title', countTableRows('matching-table', true));
         updateCopyButtonState();
     }
 
+    /**
+     * Keeps the work done in the comparison window (compared rows, validations, edits and picked
+     * winners) per Work Order, so closing the window does not lose it. A session is only valid for
+     * the grid content it was compared with.
+     */
+    const ComparisonSession = {
+        SAVE_DELAY: 500,
+        saveTimer: null,
+        observer: null,
+        cloudHash: null,
+
+        key() {
+            return `session.${getWorkOrderNumber()}`;
+        },
+
+        /**
+         * @param {Array<Object>} rows - Grid rows (cloudData).
+         * @returns {number} - Checksum of the grid content.
+         */
+        hash(rows) {
+            return ZipArchive.crc32(new TextEncoder().encode(JSON.stringify(rows)));
+        },
+
+        /**
+         * Takes the checksum of the grid rows the comparison starts with, before anything edits them.
+         * @param {Array<Object>} rows - Grid rows (cloudData) as read.
+         */
+        start(rows) {
+            this.cloudHash = this.hash(rows);
+        },
+
+        /**
+         * Reads the result tables into a plain object.
+         * @returns {Object|null} - The session, or null while nothing has been compared.
+         */
+        collect() {
+            if (doc.getElementById('comparison-results').classList.contains('hidden')) {
+                return null;
+            }
+
+            const rows = tableId => Array.from(doc.querySelectorAll(`#${tableId} tbody tr`))
+                .filter(tr => !tr.querySelector('td[colspan]'));
+
+            const differences = Array.from(doc.querySelectorAll('#differences-table tbody tr[data-source="file"]'))
+                .map(trFile => {
+                    const { trCloud, fileRow, cloudRow, confidence } = differencePairs.get(trFile);
+                    const winners = {};
+                    [trFile, trCloud].forEach(tr => tr.querySelectorAll('.winner-radio:checked').forEach(radio => {
+                        winners[radio.dataset.field] = radio.value;
+                    }));
+                    return { fileRow, cloudRow, confidence, winners };
+                });
+
+            const missingInCloud = rows('missing-rows-cloud-table').map(tr => missingCloudRowData.get(tr));
+
+            const missingInFile = rows('missing-rows-file-table').map(tr => ({
+                row: missingFileRowData.get(tr),
+                status: tr.querySelector('.task-status-select').value,
+                comments: tr.querySelector('.tech-comments-input').value,
+                selected: tr.querySelector('.row-select').checked
+            }));
+
+            const matching = rows('matching-table').map(tr => {
+                const { row, origin } = rowModels.get(tr);
+                return {
+                    row: {
+                        ...row,
+                        "Task Status": tr.querySelector('.task-status-select').value,
+                        "Technician Comments": tr.querySelector('.tech-comments-input').value
+                    },
+                    origin,
+                    included: tr.querySelector('.include-row').checked
+                };
+            });
+
+            return {
+                savedAt: new Date().toISOString(),
+                cloudHash: this.cloudHash,
+                file: currentFileTable,
+                differences,
+                missingInCloud,
+                missingInFile,
+                matching
+            };
+        },
+
+        /**
+         * Drops the session of this Work Order, e.g. once it was filled into the grid.
+         */
+        clear() {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+            LocalStore.remove(this.key());
+        },
+
+        save() {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+            const session = this.collect();
+            if (session) {
+                LocalStore.set(this.key(), session);
+            }
+        },
+
+        /**
+         * Saves the session once the user stops editing for SAVE_DELAY.
+         */
+        scheduleSave() {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = setTimeout(() => this.save(), this.SAVE_DELAY);
+        },
+
+        /**
+         * Returns the session saved for this Work Order. A session compared with other grid content
+         * is dropped.
+         * @returns {Object|null}
+         */
+        load() {
+            const session = LocalStore.get(this.key());
+            if (!session) {
+                return null;
+            }
+            if (session.cloudHash !== this.cloudHash) {
+                LocalStore.remove(this.key());
+                alert(messages.sessionOutdated);
+                return null;
+            }
+            return session;
+        },
+
+        /**
+         * Rebuilds the result tables from a saved session.
+         * @param {Object} session - Session returned by load.
+         */
+        restore(session) {
+            currentFileTable = session.file;
+            if (currentFileTable) {
+                showComparedSource(currentFileTable.source);
+            }
+
+            displayDifferences(session.differences.map(({ fileRow, cloudRow, confidence }) =>
+                ({ file: fileRow, cloud: cloudRow, confidence })));
+            const pairRows = doc.querySelectorAll('#differences-table tbody tr[data-source="file"]');
+            session.differences.forEach(({ winners }, index) => {
+                const { trCloud } = differencePairs.get(pairRows[index]);
+                Object.keys(winners).forEach(field => {
+                    [pairRows[index], trCloud].forEach(tr => {
+                        const radio = tr.querySelector(`.winner-radio[data-field="${field}"][value="${winners[field]}"]`);
+                        if (radio) {
+                            radio.checked = true;
+                        }
+                    });
+                });
+            });
+
+            displayMissingRowsInCloud(session.missingInCloud);
+
+            displayMissingRowsInFile(session.missingInFile.map(entry => entry.row));
+            const missingRows = doc.querySelectorAll('#missing-rows-file-table tbody tr');
+            session.missingInFile.forEach((entry, index) => {
+                const tr = missingRows[index];
+                const statusSelect = tr.querySelector('.task-status-select');
+                statusSelect.value = entry.status;
+                statusSelect.dispatchEvent(new Event('change'));
+                tr.querySelector('.tech-comments-input').value = entry.comments;
+                tr.querySelector('.row-select').checked = entry.selected;
+            });
+            updateBulkBar();
+
+            const matchingBody = doc.querySelector('#matching-table tbody');
+            matchingBody.innerHTML = '';
+            session.matching.forEach(({ row, origin, included }) => {
+                const tr = createMatchingRow(row, origin);
+                tr.querySelector('.include-row').checked = included;
+                tr.classList.toggle('excluded-row', !included);
+                matchingBody.appendChild(tr);
+            });
+            if (session.matching.length === 0) {
+                matchingBody.appendChild(createNoMatchingRow());
+            }
+
+            doc.getElementById('comparison-results').classList.remove('hidden');
+            updateCounters();
+            updateCopyButtonState();
+        },
+
+        /**
+         * Saves the session after every edit, validation or send-back in the result tables, and
+         * when the comparison window is closed.
+         */
+        watch() {
+            const results = doc.getElementById('comparison-results');
+            results.addEventListener('input', () => this.scheduleSave());
+            results.addEventListener('change', () => this.scheduleSave());
+
+            if (this.observer) {
+                this.observer.disconnect();
+            }
+            this.observer = new MutationObserver(() => this.scheduleSave());
+            ['differences-table', 'missing-rows-cloud-table', 'missing-rows-file-table', 'matching-table'].forEach(tableId => {
+                this.observer.observe(doc.querySelector(`#${tableId} tbody`), { childList: true });
+            });
+
+            comparisonWindow.addEventListener('beforeunload', () => {
+                if (this.saveTimer) {
+                    this.save();
+                }
+            });
+        },
+
+        /**
+         * Offers to resume the session saved for this Work Order, if any.
+         */
+        offerResume() {
+            const session = this.load();
+            if (session && confirm(`${messages.resumeSession} (saved on ${new Date(session.savedAt).toLocaleString()})`)) {
+                this.restore(session);
+            }
+        }
+    };
+
     comparisonWindow = null;
 
+    // Rows shown in the copy preview, sent to the parent once the preview is confirmed
+    let pendingCopyRows = null;
+
+    /**
+     * Builds a key identifying a task by Check Description, Manual Reference and normalized Check ID.
+     * @param {Object} row - Row object keyed by column caption.
+     * @returns {string}
+     */
+    function taskKey(row) {
+        return [row["Check Description"], row["Manual Reference"], normalizeCheckID(row["Check ID"])].join('\u0001');
+    }
+
+    /**
+     * Reads the included rows of the Matching Rows table, with the status and comments as edited.
+     * @returns {Array<Object>} - Row objects keyed by column caption.
+     */
+    function collectMatchingRows() {
+        const rows = doc.querySelectorAll('#matching-table tbody tr:not(.no-matching)');
+        return Array.from(rows)
+            .filter(tr => tr.querySelector('.include-row').checked)
+            .map(tr => ({
+                ...rowModels.get(tr).row,
+                "Task Status": tr.querySelector('.task-status-select').value,
+                "Technician Comments": tr.querySelector('.tech-comments-input').value.trim()
+            }));
+    }
+
+    /**
+     * Renders an old -> new value pair for the preview, or the kept value when the field is not edited.
+     * @param {string|undefined} oldValue - Current grid value (undefined when the row is not in the grid).
+     * @param {string} newValue - Value that will be written.
+     * @param {boolean} changed - Whether the fill edits this field.
+     * @returns {string} - HTML string.
+     */
+    function renderValueChange(oldValue, newValue, changed) {
+        if (!changed) {
+            return `<span class="unchanged-value">${escapeHTML(oldValue ?? newValue)}</span>`;
+        }
+        return `<span class="old-value">${escapeHTML(oldValue ?? '')}</span> &rarr; <span class="new-value">${escapeHTML(newValue)}</span>`;
+    }
+
+    /**
+     * Shows every row of the Matching table with its current grid values and the values about to be
+     * written. Rows that would not change are collapsed. Nothing is sent to CLM until confirmed.
+     * Task Statuses are mapped to picklist options with StatusAliases; unmapped ones block the copy.
+     * @param {boolean} [reveal] - Scroll the preview into view; false when an open preview is rebuilt.
+     */
+    function showCopyPreview(reveal = true) {
+        const gridRows = new Map(gridRowsAsRead.map(row => [taskKey(row), row]));
+        const changedFragment = doc.createDocumentFragment();
+        const unchangedFragment = doc.createDocumentFragment();
+        let changedCount = 0;
+        let unmappedCount = 0;
+
+        const rows = collectMatchingRows().map(row => {
+            const status = StatusAliases.resolve(row["Task Status"]);
+            const mappedRow = status === null ? row : { ...row, "Task Status": status };
+            const gridRow = gridRows.get(taskKey(row));
+            const plan = planFieldChanges(gridRow, toTargetRow(mappedRow));
+            const changed = plan.taskStatus || plan.technicianComments;
+
+            const tr = doc.createElement('tr');
+            tr.innerHTML = `
+                <td>${escapeHTML(row["Check Description"])}</td>
+                <td>${escapeHTML(row["Check ID"])}</td>
+                <td>${status === null
+                    ? `<span class="unmapped-status" title="Add a Task Status alias for this value">${escapeHTML(row["Task Status"])} (no CLM option)</span>`
+                    : renderValueChange(gridRow?.["Task Status"], mappedRow["Task Status"], plan.taskStatus)}</td>
+                <td>${renderValueChange(gridRow?.["Technician Comments"], row["Technician Comments"], plan.technicianComments)}</td>
+            `;
+            if (status === null) {
+                unmappedCount++;
+            }
+            if (changed || status === null) {
+                changedCount++;
+                changedFragment.appendChild(tr);
+            } else {
+                unchangedFragment.appendChild(tr);
+            }
+            return mappedRow;
+        });
+
+        const unchangedCount = rows.length - changedCount;
+        doc.querySelector('#preview-table tbody').replaceChildren(changedFragment);
+        doc.querySelector('#preview-unchanged-table tbody').replaceChildren(unchangedFragment);
+        doc.getElementById('preview-unchanged-summary').textContent = `${unchangedCount} unchanged rows`;
+        doc.getElementById('preview-unchanged').classList.toggle('hidden', unchangedCount === 0);
+        doc.getElementById('preview-summary').textContent = unmappedCount > 0
+            ? `${unmappedCount} rows have a Task Status without a CLM option. Map them under Task Status Aliases first.`
+            : `${changedCount} of ${rows.length} rows will change. Review the changes and confirm to fill CLM.`;
+        doc.getElementById('confirm-copy-button').disabled = unmappedCount > 0;
+
+        pendingCopyRows = rows;
+        const previewSection = doc.getElementById('preview-section');
+        previewSection.classList.remove('hidden');
+        if (reveal) {
+            previewSection.scrollIntoView({ behavior: 'smooth' });
+        }
+    }
+
+    /**
+     * Closes the copy preview without sending anything.
+     */
+    function hideCopyPreview() {
+        pendingCopyRows = null;
+        doc.getElementById('preview-section').classList.add('hidden');
+    }
+
+    /**
+     * Adds a row to the Task Status Aliases table.
+     * @param {string} value - File value.
+     * @param {string} option - CLM option it maps to.
+     */
+    function addStatusAliasRow(value = "", option = "") {
+        const options = getTaskStatusOptions();
+        // Keep an alias whose option is not in the picklist, instead of silently changing it
+        const choices = option && !options.includes(option) ? [...options, option] : options;
+
+        const tr = doc.createElement('tr');
+        tr.innerHTML = `
+            <td><input type="text" class="alias-value" value="${escapeHTML(value)}" /></td>
+            <td>
+                <select class="alias-option">
+                    ${choices.map(choice => `
+                        <option value="${escapeHTML(choice)}" ${choice === option ? 'selected' : ''}>
+                            ${escapeHTML(choice)}${options.includes(choice) ? '' : ' (not in picklist)'}
+                        </option>
+                    `).join('')}
+                </select>
+            </td>
+            <td><button class="button alias-remove">Remove</button></td>
+        `;
+        doc.querySelector('#status-aliases-table tbody').appendChild(tr);
+    }
+
+    /**
+     * Fills the Task Status Aliases table.
+     * @param {Object<string, string>} aliases - CLM option per file value.
+     */
+    function renderStatusAliases(aliases) {
+        doc.querySelector('#status-aliases-table tbody').replaceChildren();
+        Object.entries(aliases).forEach(([value, option]) => addStatusAliasRow(value, option));
+    }
+
+    /**
+     * Saves the Task Status Aliases table and refreshes an open copy preview.
+     */
+    function saveStatusAliases() {
+        const aliases = {};
+        doc.querySelectorAll('#status-aliases-table tbody tr').forEach(tr => {
+            const value = tr.querySelector('.alias-value').value.trim();
+            if (value) {
+                aliases[value] = tr.querySelector('.alias-option').value;
+            }
+        });
+        StatusAliases.save(aliases);
+        renderStatusAliases(aliases);
+
+        if (pendingCopyRows) {
+            showCopyPreview();
+        }
+    }
+
+    /**
+     * Returns the id of the Salesforce org the page belongs to, falling back to the host name.
+     * Used as the key of settings that depend on the org's configuration.
+     * @returns {string}
+     */
+    function getOrgId() {
+        return window.UserContext?.organizationId || location.hostname;
+    }
+
+    /**
+     * Options of the Task Status picklist, read from CLM itself and cached per org.
+     */
+    const TaskStatusPicklist = {
+        CACHE_TTL: 24 * 60 * 60 * 1000, // 24 hours
+        FALLBACK: [
+            'Pass',
+            'Done by Customer',
+            'Not Done – Customer Request',
+            'Not Done – Not Applicable',
+            'Fail',
+            'Not Started'
+        ],
+
+        RESTORE_STEP: 'Restore Task Status',
+
+        cacheKey() {
+            return `taskStatusOptions.${getOrgId()}`;
+        },
+
+        /**
+         * Returns the options, in order of preference: a cache entry younger than CACHE_TTL, options
+         * harvested from a Task Status cell, an older cache entry, FALLBACK.
+         * @param {HTMLElement} view - Grid view element.
+         * @param {Object<string, string>} columns - Cell selectors returned by GridResolver.resolve().
+         * @returns {Promise<Array<string>>}
+         * @throws {Error} - The RESTORE_STEP error when reading the options left a cell changed.
+         */
+        async load(view, columns) {
+            const cached = LocalStore.get(this.cacheKey());
+            if (cached && Date.now() - cached.savedAt < this.CACHE_TTL) {
+                return cached.options;
+            }
+
+            try {
+                return this.save(await this.harvest(view, columns));
+            } catch (error) {
+                // A changed grid value must not go unnoticed
+                if (error.step === this.RESTORE_STEP) {
+                    throw error;
+                }
+                console.warn('Failed to read the Task Status options:', error);
+            }
+
+            if (cached) {
+                console.log('Using Task Status options cached on', new Date(cached.savedAt).toLocaleString());
+                return cached.options;
+            }
+            console.log('Task Status options not available, using fallback options');
+            return this.FALLBACK;
+        },
+
+        /**
+         * @param {Array<string>} options
+         * @returns {Array<string>} - The options that were saved.
+         */
+        save(options) {
+            if (options.length > 0) {
+                LocalStore.set(this.cacheKey(), { options, savedAt: Date.now() });
+            }
+            return options.length > 0 ? options : this.FALLBACK;
+        },
+
+        /**
+         * @param {HTMLElement} boundList - Open picklist element.
+         * @returns {Array<string>} - Non-empty option texts.
+         */
+        readList(boundList) {
+            return Array.from(boundList.querySelectorAll('.svmx-boundlist-item, li'))
+                .map(item => item.textContent.trim())
+                .filter((text, index, texts) => text && texts.indexOf(text) === index);
+        },
+
+        /**
+         * Opens the editor of a Task Status cell, reads its picklist and closes it with Escape,
+         * so the value of the cell is not changed. Should the cell change anyway, its value is set back.
+         * @param {HTMLElement} view - Grid view element.
+         * @param {Object<string, string>} columns - Cell selectors returned by GridResolver.resolve().
+         * @returns {Promise<Array<string>>}
+         * @throws {Error} - A step error (see stepError) when the editor or list does not open, or the
+         *         RESTORE_STEP error when the cell could not be set back.
+         */
+        async harvest(view, columns) {
+            const cell = Array.from(view.querySelectorAll(GridResolver.ROW_SELECTOR))
+                .map(row => row.querySelector(columns["Task Status"]))
+                .find(Boolean);
+            if (!cell) {
+                throw stepError('Read Task Status options', 'no Task Status cell found.');
+            }
+            const originalValue = cell.textContent.trim();
+
+            cell.click();
+            const editor = await waitFor(() => CellEditors.findActive(cell), { step: 'Open Task Status editor' });
+            try {
+                const trigger = editor.querySelector('.svmx-form-arrow-trigger');
+                if (!trigger) {
+                    throw stepError('Read Task Status options', 'the Task Status editor is not a picklist.');
+                }
+                trigger.click();
+                const boundList = await waitFor(() => CellEditors.findBoundList(editor), { step: 'Open Task Status list' });
+                return this.readList(boundList);
+            } finally {
+                // The first Escape closes the list, the second cancels the edit
+                await this.pressEscape();
+                await this.pressEscape();
+                if (isVisible(editor)) {
+                    // The edit was not cancelled: put the value back before clicking outside saves it
+                    CellEditors.fillInput(editor.querySelector(CellEditors.FIELD_SELECTOR), originalValue);
+                    document.body.click();
+                }
+                await this.restoreValue(cell, originalValue);
+            }
+        },
+
+        /**
+         * Sets a Task Status cell back to the value it had before its options were read.
+         * @param {HTMLElement} cell - Task Status cell.
+         * @param {string} originalValue - Value shown before the editor was opened.
+         * @returns {Promise<void>}
+         * @throws {Error} - The RESTORE_STEP error when the cell still holds another value.
+         */
+        async restoreValue(cell, originalValue) {
+            if (!cell.isConnected || cell.textContent.trim() === originalValue) {
+                return;
+            }
+            const changedValue = cell.textContent.trim();
+            try {
+                await CellEditors.edit(cell, originalValue, 'Task Status');
+            } catch (error) {
+                console.error('Failed to restore the Task Status:', error);
+            }
+            if (cell.isConnected && cell.textContent.trim() !== originalValue) {
+                throw stepError(this.RESTORE_STEP,
+                    `reading the options changed a Task Status from "${originalValue}" to "${changedValue}". Please set it back.`);
+            }
+        },
+
+        /**
+         * Sends an Escape key press to the focused element and waits for the page to react.
+         * @returns {Promise<void>}
+         */
+        async pressEscape() {
+            const target = document.activeElement || document.body;
+            ['keydown', 'keyup'].forEach(type => {
+                const event = new KeyboardEvent(type, { key: 'Escape', code: 'Escape', bubbles: true, cancelable: true });
+                // ExtJS reads the legacy key codes
+                Object.defineProperty(event, 'keyCode', { get: () => 27 });
+                Object.defineProperty(event, 'which', { get: () => 27 });
+                target.dispatchEvent(event);
+            });
+            await waitForQuiet(document.body, 100, 1000);
+        }
+    };
+
     /**
      * Main logic to process rows from the parent window and open a new comparison window.
      */
@@ -929,91 +3856,80 @@
         }
 
         try {
-            const newWindow = window.open('', '_blank', 'width=1000,height=800,scrollbars=yes,resizable=yes');
-            const parentWindow = window;
-
-            if (!newWindow) {
-                console.error("Failed to open new window. Check popup blocker settings.");
-                alert("Failed to open a new window. Please disable the pop-up blocker and try again.");
-                StateManager.setState(StateManager.States.IDLE);
-                return;
+            // Locate the grid before opening the window, so a layout change is reported right away
+            const { view: table, columns } = GridResolver.resolve();
+
+            let newWindow = null;
+            if (DisplayMode.get() === DisplayMode.POPUP) {
+                newWindow = window.open('', '_blank', 'width=1000,height=800,scrollbars=yes,resizable=yes');
+                if (!newWindow) {
+                    console.error("Failed to open new window. Check popup blocker settings.");
+                    // The docked panel cannot be blocked
+                    if (!confirm(messages.popupBlocked)) {
+                        StateManager.setState(StateManager.States.IDLE);
+                        return;
+                    }
+                }
+            }
+            const docked = !newWindow;
+            if (docked) {
+                newWindow = DockedPanel.open();
             }
+            const parentWindow = window;
 
             StateManager.setState(StateManager.States.WINDOW_OPEN);
-
-            // Extract table from the current page
-            const table = document.getElementById("gridview-1080");
-            if (!table) {
-                console.error(messages.tableNotFound);
-                return;
+            if (docked) {
+                DockedPanel.showMessage('Reading the debrief grid...');
+            } else {
+                newWindow.document.write('<p>Reading the debrief grid...</p>');
             }
 
+            // Nothing to compare: close the "Reading..." placeholder, which never reports itself closed
+            const abort = message => {
+                console.error(message);
+                newWindow.close();
+                StateManager.setState(StateManager.States.IDLE);
+                alert(message);
+            };
+
         // Extract table rows
-            const rows = table.querySelectorAll("tr");
-            if (!rows.length) {
-                console.error(messages.noRows);
+            if (!table.querySelector(GridResolver.ROW_SELECTOR)) {
+                abort(messages.noRows);
                 return;
             }
 
-            // Collect data from the current page
-            cloudData = [];
-            rows.forEach(row => {
-                const checkDescription = row.querySelector(`.${CLASS_CD}`);
-                const taskStatus = row.querySelector(`.${CLASS_TS}`);
-                const technicianComments = row.querySelector(`.${CLASS_TC}`);
-                const manualReference = row.querySelector(`.${CLASS_MR}`);
-                const checkID = row.querySelector(`.${CLASS_CID}`);
-
-                // Ensure at least one cell exists to avoid empty rows
-                if (
-                    checkDescription ||
-                    taskStatus ||
-                    technicianComments ||
-                    manualReference ||
-                    checkID
-                ) {
-                    cloudData.push({
-                        "Check Description": checkDescription ? checkDescription.textContent.trim() : "",
-                        "Task Status": taskStatus ? taskStatus.textContent.trim() : "",
-                        "Technician Comments": technicianComments ? technicianComments.textContent.trim() : "",
-                        "Manual Reference": manualReference ? manualReference.textContent.trim() : "",
-                        "Check ID": checkID ? checkID.textContent.trim() : ""
-                    });
-                }
-            });
+            // Collect data from all pages, including rows the grid has not rendered yet
+            cloudData = await GridResolver.readAllRows(table, columns);
+            gridRowsAsRead = cloudData.map(row => ({ ...row }));
 
             if (!cloudData.length) {
-                console.error(messages.dataExtractionFailed);
+                abort(messages.dataExtractionFailed);
                 return;
             }
 
-            // Attempt to gather Task Status options
+            const gridTotal = GridResolver.getTotalCount(table);
+            if (gridTotal !== null && gridTotal !== cloudData.length) {
+                console.warn(`${messages.rowCountMismatch} ${cloudData.length} / ${gridTotal}`);
+                alert(`${messages.rowCountMismatch} ${cloudData.length} / ${gridTotal}`);
+            }
+
+            // Gather the real Task Status options from the CLM picklist
             try {
-                const boundList = document.querySelector('.svmx-boundlist-list-ct');
-                if (boundList) {
-                    // If dropdown is present in the DOM
-                    taskStatusOptions = Array.from(boundList.querySelectorAll('li')).map(li =>
-                        li.textContent.trim()
-                    );
-                } else {
-                    // Fallback defaults
-                    console.log('Selector not found (select at least one TaskStatus value), using fallback options');
-                    taskStatusOptions = [
-                        'Pass',
-                        'Done by Customer',
-                        'Not Done – Customer Request',
-                        'Not Done – Not Applicable',
-                        'Fail',
-                        'Not Started'
-                    ];
-                }
+                taskStatusOptions = await TaskStatusPicklist.load(table, columns);
             } catch (error) {
-                console.log('Error getting task options:', error);
+                abort(error.message);
+                return;
+            }
+
+            if (docked) {
+                DockedPanel.render(gridTotal);
+                initializeApp(newWindow, cloudData, parentWindow);
+                return;
             }
 
             // Write content to new window
             newWindow.document.open();
-            newWindow.document.write(getHTMLContent(taskStatusOptions));
+            newWindow.document.write(getHTMLContent(taskStatusOptions, gridTotal));
             newWindow.document.close();
 
             // Initialize after child document is loaded
@@ -1027,7 +3943,7 @@
 
     /**
      * Function for initializing the application in the new comparison window.
-     * @param {Window} win - The newly opened window object.
+     * @param {Window|Object} win - The newly opened window object, or the docked panel handle (see DockedPanel.open).
      * @param {Array<Object>} data - The extracted cloud data.
      * @param {Window} parentWindow - The parent window object.
      */
@@ -1035,28 +3951,78 @@
         doc = win.document;
         comparisonWindow = win;
 
+        // The docked panel runs no inline script counting the original rows
+        displayOriginalTableData(data);
+        ComparisonSession.start(data);
+
         // Initialize event listeners
         initializeEventListeners(parentWindow);
         if (DEBUG) {
             compareData(getFileData(), data); // Debug
         } else {
             // compareData(fileData(), data); // Non-debug usage
+            ComparisonSession.offerResume();
         }
+        ComparisonSession.watch();
     }
 
     /**
      * Returns the full HTML content for the new comparison window.
      * @param {Array<string>} taskStatusOptions - The list of Task Status options to populate.
+     * @param {number|null} [gridTotal] - Number of rows the grid reports, shown when it differs from the rows read.
      * @returns {string} - The complete HTML markup for the new window.
      */
-    function getHTMLContent(taskStatusOptions) {
+    function getHTMLContent(taskStatusOptions, gridTotal = null) {
         const taskStatusJSON = JSON.stringify(taskStatusOptions);
-        let htmlContent = `
+        return `
             <html>
             <head>
                 <title>Data Comparison Tool</title>
-                <style>
-                    body {
+                <style>${getHTMLStyles()}</style>
+            </head>
+            <body>
+                ${getHTMLBody(gridTotal)}
+
+                <script>
+                    updateOriginalDataCount(${cloudData.length});
+                    const taskStatusOptions = ${taskStatusJSON};
+
+                    /**
+                     * Updates the count of original table data rows in the header (if present).
+                     * @param {number} count - New count value.
+                     */
+                    function updateOriginalDataCount(count) {
+                        const titleElement = document.getElementById('original-data-title');
+                        if (titleElement) {
+                            const textContent = titleElement.textContent;
+                            const dashIndex = textContent.indexOf(': ');
+                            const baseTitle = dashIndex !== -1 ? textContent.substring(0, dashIndex) : textContent;
+                            titleElement.textContent = \`\${baseTitle}: \${count}\`;
+                        } else {
+                            console.warn(\`Element "\${titleElement}" not found.\`);
+                        }
+                    }
+
+                    // Remaining scripts
+                    window.addEventListener('beforeunload', function() {
+                        if (window.opener) {
+                            console.log (">>>close<<<");
+                            window.opener.postMessage({ type: 'windowClosed' }, '*');
+                        }
+                    });
+                </script>
+            </body>
+            </html>
+        `;
+    }
+
+    /**
+     * Returns the CSS of the comparison UI, shared by the popup window and the docked panel.
+     * @returns {string}
+     */
+    function getHTMLStyles() {
+        return `
+                    body, .docked-body {
                         font-family: 'Arial', sans-serif;
                         font-size: 14px;
                         margin: 20px;
@@ -1179,6 +4145,25 @@
                         font-weight: bold;
                     }
 
+                    .original-check-id {
+                        color: #777;
+                        font-size: 11px;
+                    }
+
+                    .count-warning {
+                        color: #b00020;
+                        font-weight: bold;
+                    }
+
+                    .confidence {
+                        font-size: 11px;
+                        font-weight: bold;
+                    }
+
+                    .confidence-high { color: #2E7D32; }
+                    .confidence-medium { color: #EF6C00; }
+                    .confidence-low { color: #C62828; }
+
                     .editable-cell {
                         padding: 0;
                     }
@@ -1221,29 +4206,218 @@
                         padding: 2px;
                     }
 
+                    #preview-table th:nth-child(2),
+                    #preview-unchanged-table th:nth-child(2) { width: 80px; }
+                    #preview-table th:nth-child(4),
+                    #preview-unchanged-table th:nth-child(4) { width: 300px; }
+
+                    #preview-unchanged summary {
+                        cursor: pointer;
+                        margin-bottom: 10px;
+                    }
+
+                    .old-value {
+                        color: #C62828;
+                        text-decoration: line-through;
+                    }
+
+                    .new-value {
+                        color: #2E7D32;
+                        font-weight: bold;
+                    }
+
+                    .unmapped-status {
+                        color: #b00020;
+                        font-weight: bold;
+                    }
+
+                    .unchanged-value {
+                        color: #777;
+                    }
+
+                    #matching-table .tech-comments-input {
+                        width: 100%;
+                        box-sizing: border-box;
+                        resize: vertical;
+                        font-family: inherit;
+                    }
+
+                    #matching-table .excluded-row td:not(.matching-actions) {
+                        opacity: 0.5;
+                        text-decoration: line-through;
+                    }
+
+                    .winner-radio {
+                        margin: 0 4px 0 0;
+                        vertical-align: middle;
+                    }
+
+                    .bulk-bar {
+                        display: flex;
+                        align-items: center;
+                        gap: 8px;
+                        margin-bottom: 8px;
+                        padding: 6px 8px;
+                        background: #FFF8E1;
+                        border: 1px solid #FFE082;
+                    }
+
+                    .bulk-bar.hidden {
+                        display: none;
+                    }
+
+                    .filter-bar {
+                        position: sticky;
+                        top: 0;
+                        z-index: 5;
+                        display: flex;
+                        flex-wrap: wrap;
+                        align-items: center;
+                        gap: 6px;
+                        margin-bottom: 20px;
+                        padding: 8px;
+                        background: #fff;
+                        border-bottom: 1px solid #ddd;
+                    }
+
+                    .filter-bar.filter-active {
+                        background: #E3F2FD;
+                    }
+
+                    .chip {
+                        padding: 2px 10px;
+                        font-size: 12px;
+                        background: #fff;
+                        border: 1px solid #90A4AE;
+                        border-radius: 12px;
+                        cursor: pointer;
+                    }
+
+                    .chip.active {
+                        background: #2196F3;
+                        border-color: #2196F3;
+                        color: white;
+                    }
+
+                    tr.filtered-out {
+                        display: none;
+                    }
+
                     #missing-rows-file-table .validate-button {
                         height: 18px;
                         font-size: 12px;
                         padding: 2px 6px;
                         line-height: normal;
                     }
-                </style>
-            </head>
-            <body>
+        `;
+    }
+
+    /**
+     * Returns the markup of the comparison UI, shared by the popup window and the docked panel.
+     * @param {number|null} [gridTotal] - Number of rows the grid reports, shown when it differs from the rows read.
+     * @returns {string}
+     */
+    function getHTMLBody(gridTotal = null) {
+        let htmlContent = `
                 <h1>Data Comparison Tool</h1>
 
                 <div class="section">
-                    <h2>Upload CSV File</h2>
-                    <input type="file" id="file-input" accept=".csv" />
+                    <h2>Upload CSV or Excel File</h2>
+                    <input type="file" id="file-input" accept=".csv,.xlsx" />
+                    <select id="sheet-select" class="hidden" title="Sheet to compare"></select>
+                    <span id="compared-source"></span>
                     <button
                         class="button"
                         id="copy-data-button" disabled>Copy Data to CLM</button>
                 </div>
 
+                <div class="section">
+                    <h2>Checklist Templates</h2>
+                    <select id="template-select" title="Saved templates"></select>
+                    <button class="button" id="apply-template-button">Use as File</button>
+                    <button class="button" id="delete-template-button">Delete</button>
+                    <button class="button" id="export-templates-button">Export</button>
+                    <button class="button" id="import-templates-button">Import</button>
+                    <input type="file" id="import-templates-input" class="hidden" accept=".json" />
+                    <div>
+                        <input type="text" id="template-name" placeholder="Template name" />
+                        <button class="button" id="save-template-button">Save Matching Rows as Template</button>
+                    </div>
+                </div>
+
+                <div class="section">
+                    <details id="status-aliases">
+                        <summary>Task Status Aliases</summary>
+                        <p>File values mapped to CLM Task Status options. Dashes, spaces and letter case are ignored.</p>
+                        <table id="status-aliases-table">
+                            <thead>
+                                <tr>
+                                    <th>File value</th>
+                                    <th>CLM option</th>
+                                    <th></th>
+                                </tr>
+                            </thead>
+                            <tbody></tbody>
+                        </table>
+                        <button class="button" id="add-alias-button">Add alias</button>
+                        <button class="button" id="save-aliases-button">Save aliases</button>
+                        <button class="button" id="reset-aliases-button">Reset to defaults</button>
+                    </details>
+                </div>
+
+                <div class="section hidden" id="preview-section">
+                    <h2>Preview Changes</h2>
+                    <p id="preview-summary"></p>
+                    <table id="preview-table">
+                        <thead>
+                            <tr>
+                                <th>Check Description</th>
+                                <th>Check ID</th>
+                                <th>Task Status</th>
+                                <th>Technician Comments</th>
+                            </tr>
+                        </thead>
+                        <tbody></tbody>
+                    </table>
+                    <details id="preview-unchanged">
+                        <summary id="preview-unchanged-summary">Unchanged rows</summary>
+                        <table id="preview-unchanged-table">
+                            <thead>
+                                <tr>
+                                    <th>Check Description</th>
+                                    <th>Check ID</th>
+                                    <th>Task Status</th>
+                                    <th>Technician Comments</th>
+                                </tr>
+                            </thead>
+                            <tbody></tbody>
+                        </table>
+                    </details>
+                    <button class="button" id="confirm-copy-button">Confirm and Fill CLM</button>
+                    <button class="button" id="cancel-preview-button">Back</button>
+                </div>
+
+                <div class="filter-bar" id="filter-bar">
+                    <input type="search" id="filter-text" placeholder="Search all tables" />
+                    <input type="text" id="filter-check-id" placeholder="Check ID starts with" size="14" />
+                    <span id="filter-status-chips"></span>
+                    <button class="chip" id="filter-has-comment">Has comment</button>
+                    <button class="button" id="clear-filter-button">Clear filters</button>
+                </div>
+
                 <div class="section hidden" id="comparison-results">
                     <h2>Comparison Results</h2>
+                    <select id="report-format" title="Report format">
+                        <option value="html">HTML</option>
+                        <option value="csv">CSV</option>
+                    </select>
+                    <button class="button" id="export-report-button">Export report</button>
 
                     <h3 id="differences-title">Rows with Differences</h3>
+                    <button class="button" id="resolve-differences-button"
+                        title="Task Status and comments from File; Check Description, Manual Reference and Check ID always from Cloud">
+                        Resolve all with default rule
+                    </button>
                     <table id="differences-table">
                         <thead>
                             <tr>
@@ -1274,6 +4448,13 @@
                     </table>
 
                     <h3 id="missing-file-title">Rows Not Found in File</h3>
+                    <div id="missing-file-bulk-bar" class="bulk-bar hidden">
+                        <span id="missing-file-selected-count"></span>
+                        <select id="bulk-status-select" title="Task Status for the selected rows"></select>
+                        <input type="text" id="bulk-comments-input" placeholder="Comments (optional)">
+                        <button class="button" id="bulk-apply-button">Apply to selected</button>
+                        <button class="button" id="bulk-validate-button">Validate selected</button>
+                    </div>
                     <table id="missing-rows-file-table">
                         <thead>
                             <tr>
@@ -1282,7 +4463,7 @@
                                 <th>Technician Comments</th>
                                 <th data-key="Manual Reference" class="sortable">Manual Reference<div class="resize-handle"></div></th>
                                 <th data-key="Check ID" class="sortable">Check ID<div class="resize-handle"></div></th>
-                                <th>Actions</th>
+                                <th><input type="checkbox" id="select-all-missing-file" title="Select all"> Actions</th>
                             </tr>
                         </thead>
                         <tbody></tbody>
@@ -1297,6 +4478,7 @@
                                 <th data-key="Technician Comments" class="sortable">Technician Comments<div class="resize-handle"></div></th>
                                 <th data-key="Manual Reference" class="sortable">Manual Reference<div class="resize-handle"></div></th>
                                 <th data-key="Check ID" class="sortable">Check ID<div class="resize-handle"></div></th>
+                                <th>Include / Actions</th>
                             </tr>
                         </thead>
                         <tbody></tbody>
@@ -1304,8 +4486,21 @@
                 </div>
 
                 <div class="section">
-                    <h2>Original Table Data</h2>
-                    <button class="button" id="save-button">Save as CSV</button>
+                    <h2 id="original-data-title">Original Table Data</h2>
+                    ${gridTotal !== null && gridTotal !== cloudData.length
+                        ? `<p class="count-warning">${escapeHTML(messages.rowCountMismatch)} ${cloudData.length} / ${gridTotal}</p>`
+                        : ''}
+                    <select id="export-format" title="Export format">
+                        <option value="csv">CSV</option>
+                        <option value="json">JSON</option>
+                        <option value="xlsx">Excel (.xlsx)</option>
+                    </select>
+                    <select id="export-delimiter" title="CSV delimiter">
+                        <option value=",">Comma (,)</option>
+                        <option value=";">Semicolon (;)</option>
+                        <option value="tab">Tab</option>
+                    </select>
+                    <button class="button" id="save-button">Export</button>
                     <table id="data-table">
                         <thead>
                             <tr>
@@ -1327,7 +4522,7 @@
                     <td>${escapeHTML(row["Task Status"])}</td>
                     <td>${escapeHTML(row["Technician Comments"])}</td>
                     <td>${escapeHTML(row["Manual Reference"])}</td>
-                    <td>${escapeHTML(row["Check ID"])}</td>
+                    ${renderCheckIDCell(row)}
                 </tr>
             `;
         });
@@ -1336,81 +4531,495 @@
                         </tbody>
                     </table>
                 </div>
+        `;
 
-                <script>
-                    updateOriginalDataCount(${cloudData.length});
-                    const taskStatusOptions = ${taskStatusJSON};
+        return htmlContent;
+    }
 
-                    /**
-                     * Updates the count of original table data rows in the header (if present).
-                     * @param {number} count - New count value.
-                     */
-                    function updateOriginalDataCount(count) {
-                        const titleElement = document.getElementById('original-data-title');
-                        if (titleElement) {
-                            const textContent = titleElement.textContent;
-                            const dashIndex = textContent.indexOf(': ');
-                            const baseTitle = dashIndex !== -1 ? textContent.substring(0, dashIndex) : textContent;
-                            titleElement.textContent = \`\${baseTitle}: \${count}\`;
-                        } else {
-                            console.warn(\`Element "\${titleElement}" not found.\`);
-                        }
+    /**
+     * Where the comparison UI opens: in a popup window or in a panel docked on the CLM page.
+     */
+    const DisplayMode = {
+        STORAGE_KEY: 'displayMode',
+        POPUP: 'popup',
+        DOCKED: 'docked',
+
+        get() {
+            return LocalStore.get(this.STORAGE_KEY, this.POPUP);
+        },
+
+        /**
+         * Switches to the other mode for the next time the comparison is opened.
+         */
+        toggle() {
+            LocalStore.set(this.STORAGE_KEY, this.get() === this.DOCKED ? this.POPUP : this.DOCKED);
+            updateDisplayModeButton();
+        }
+    };
+
+    /**
+     * Shows the current display mode on its toolbar button.
+     */
+    function updateDisplayModeButton() {
+        const button = document.getElementById('displayModeButton');
+        if (button) {
+            button.textContent = DisplayMode.get() === DisplayMode.DOCKED ? "Open in: Docked panel" : "Open in: Popup";
+        }
+    }
+
+    /**
+     * Resizable side panel on the CLM page showing the comparison UI instead of the popup window.
+     * The UI lives in a shadow root, so the page styles and the UI styles do not leak into each other.
+     */
+    const DockedPanel = {
+        WIDTH_KEY: 'dockedPanelWidth',
+        DEFAULT_WIDTH: 760,
+        MIN_WIDTH: 420,
+        STYLES: `
+            :host {
+                all: initial;
+            }
+            .docked-panel {
+                position: relative;
+                display: flex;
+                height: 100%;
+            }
+            .docked-resize {
+                flex: none;
+                width: 6px;
+                background: #5cc2fc;
+                cursor: ew-resize;
+            }
+            .docked-body {
+                flex: 1;
+                overflow: auto;
+                margin: 0;
+                padding: 0 20px 20px;
+                color: #000;
+                outline: none;
+            }
+            .docked-close {
+                position: absolute;
+                top: 8px;
+                right: 20px;
+                z-index: 6;
+                cursor: pointer;
+            }
+        `,
+        host: null,
+        body: null,
+        handle: null,
+
+        /**
+         * Adds the panel to the page.
+         * @returns {Object} - Handle used in place of the popup window: document (see createDocument),
+         *     closed, close(), focus() and addEventListener('beforeunload').
+         */
+        open() {
+            // A panel left by a failed run is replaced without reporting it closed, which would reset the state
+            if (this.handle) {
+                this.handle.closed = true;
+                this.host.remove();
+            }
+
+            const host = document.createElement('div');
+            host.id = 'clmComparisonPanel';
+            host.style.cssText = [
+                'position: fixed', 'top: 0', 'right: 0', 'bottom: 0',
+                `width: ${this.clampWidth(LocalStore.get(this.WIDTH_KEY, this.DEFAULT_WIDTH))}px`,
+                'background: #fff', 'box-shadow: -2px 0 8px rgba(0,0,0,0.3)', 'z-index: 9999'
+            ].join(';');
+            // Keep the page's keyboard handlers from reacting to typing in the panel
+            ['keydown', 'keyup', 'keypress'].forEach(type => host.addEventListener(type, event => event.stopPropagation()));
+
+            const root = host.attachShadow({ mode: 'open' });
+            root.innerHTML = `
+                <style>${getHTMLStyles()}${this.STYLES}</style>
+                <div class="docked-panel">
+                    <div class="docked-resize" title="Drag to resize"></div>
+                    <div class="docked-body" tabindex="-1"></div>
+                    <button class="docked-close" title="Close the comparison">Close</button>
+                </div>
+            `;
+            document.body.appendChild(host);
+            this.host = host;
+            this.body = root.querySelector('.docked-body');
+            this.enableResizing(root.querySelector('.docked-resize'));
+
+            const body = this.body;
+            const unloadListeners = [];
+            const handle = {
+                document: this.createDocument(root, body),
+                closed: false,
+                close: () => {
+                    if (handle.closed) return;
+                    handle.closed = true;
+                    unloadListeners.forEach(listener => listener());
+                    host.remove();
+                    if (this.handle === handle) {
+                        this.host = null;
+                        this.body = null;
+                        this.handle = null;
+                    }
+                    // Same notification as the popup sends when it is closed
+                    window.postMessage({ type: 'windowClosed' }, '*');
+                },
+                focus: () => body.focus(),
+                addEventListener: (type, listener) => {
+                    if (type === 'beforeunload') {
+                        unloadListeners.push(listener);
                     }
+                }
+            };
+            root.querySelector('.docked-close').addEventListener('click', () => handle.close());
+            this.handle = handle;
+            return handle;
+        },
 
-                    // Remaining scripts
-                    window.addEventListener('beforeunload', function() {
-                        if (window.opener) {
-                            console.log (">>>close<<<");
-                            window.opener.postMessage({ type: 'windowClosed' }, '*');
-                        }
-                    });
-                </script>
-            </body>
-            </html>
-        `;
+        /**
+         * Builds the subset of the Document API the display functions use (doc), over the shadow root.
+         * @param {ShadowRoot} root
+         * @param {HTMLElement} body - Element standing in for the document body.
+         * @returns {Object}
+         */
+        createDocument(root, body) {
+            return {
+                body,
+                getElementById: id => root.getElementById(id),
+                querySelector: selector => root.querySelector(selector),
+                querySelectorAll: selector => root.querySelectorAll(selector),
+                createElement: tagName => document.createElement(tagName),
+                createDocumentFragment: () => document.createDocumentFragment(),
+                addEventListener: (type, listener, options) => root.addEventListener(type, listener, options)
+            };
+        },
 
-        return htmlContent;
+        /**
+         * @param {string} text - Message shown while the comparison UI is not rendered yet.
+         */
+        showMessage(text) {
+            this.body.innerHTML = `<p>${escapeHTML(text)}</p>`;
+        },
+
+        /**
+         * Renders the comparison UI, as getHTMLContent does for the popup.
+         * @param {number|null} [gridTotal] - Number of rows the grid reports.
+         */
+        render(gridTotal = null) {
+            this.body.innerHTML = getHTMLBody(gridTotal);
+        },
+
+        /**
+         * Resizes the panel by dragging its left edge; the width is kept for the next time.
+         * @param {HTMLElement} grip - The left edge.
+         */
+        enableResizing(grip) {
+            grip.addEventListener('mousedown', event => {
+                event.preventDefault();
+                const onMove = e => {
+                    this.host.style.width = `${this.clampWidth(window.innerWidth - e.clientX)}px`;
+                };
+                const onUp = () => {
+                    document.removeEventListener('mousemove', onMove);
+                    document.removeEventListener('mouseup', onUp);
+                    LocalStore.set(this.WIDTH_KEY, parseInt(this.host.style.width, 10));
+                };
+                document.addEventListener('mousemove', onMove);
+                document.addEventListener('mouseup', onUp);
+            });
+        },
+
+        /**
+         * @param {number} width - Requested width in pixels.
+         * @returns {number} - The width kept between MIN_WIDTH and the page width less a margin.
+         */
+        clampWidth(width) {
+            return Math.max(this.MIN_WIDTH, Math.min(width, window.innerWidth - 100));
+        }
+    };
+
+    /**
+     * Re-displays the original table data inside the new window if needed.
+     * @param {Array<Object>} data - Array of row objects to display.
+     */
+    function displayOriginalTableData(data) {
+        const tbody = doc.querySelector('#data-table tbody');
+
+        if (data && data.length > 0) {
+            const count = data.length;
+            updateTableCount('original-data-title', count);
+        }
+    }
+
+    /**
+     * Offers a Blob as a file download from the comparison window.
+     * @param {Blob} blob - File content.
+     * @param {string} fileName - Suggested file name.
+     * @param {Document} [targetDocument] - Document starting the download; the CLM page for its own panels.
+     */
+    function downloadBlob(blob, fileName, targetDocument = doc) {
+        const url = URL.createObjectURL(blob);
+        const link = targetDocument.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.style.display = 'none';
+        targetDocument.body.appendChild(link);
+        link.click();
+        targetDocument.body.removeChild(link);
+        // Revoke once the download has started
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    // Captions of the Work Order's own date field on the debrief page, in order of preference
+    const WORK_ORDER_DATE_LABELS = ['Scheduled Date', 'Work Order Date', 'Start Date'];
+
+    /**
+     * Returns the date of the Work Order's own date field (see WORK_ORDER_DATE_LABELS) as YYYY-MM-DD
+     * or DD-MM-YYYY (in the order the page shows it), falling back to today. Other dates on the page
+     * are not used.
+     * @returns {string}
+     */
+    function getWorkOrderDate() {
+        const match = readRecordField(WORK_ORDER_DATE_LABELS, /\b(\d{4}-\d{2}-\d{2}|\d{1,2}[./]\d{1,2}[./]\d{4})\b/);
+        if (match) {
+            return match[1].replace(/[./]/g, '-');
+        }
+        const today = new Date();
+        return [today.getFullYear(), today.getMonth() + 1, today.getDate()]
+            .map(part => String(part).padStart(2, '0')).join('-');
+    }
+
+    /**
+     * Builds an export file name from the Work Order number and date, e.g. WO-01234567_2024-05-17_original.csv.
+     * @param {string} suffix - What is exported.
+     * @param {string} extension - File extension without the dot.
+     * @returns {string}
+     */
+    function getExportFileName(suffix, extension) {
+        return `${getWorkOrderNumber()}_${getWorkOrderDate()}_${suffix}`.replace(/[^\w.-]+/g, '_') + `.${extension}`;
+    }
+
+    /**
+     * Reads a comparison window table in its current order.
+     * @param {string} tableId - ID of the table.
+     * @returns {{headers: Array<string>, rows: Array<Object>}} - Row objects keyed by column caption.
+     */
+    function readTableData(tableId) {
+        const table = doc.getElementById(tableId);
+        const headers = Array.from(table.querySelectorAll('thead th'))
+            .map(th => th.dataset.key || th.textContent.trim());
+        const rows = Array.from(table.querySelectorAll('tbody tr'))
+            .filter(tr => !tr.querySelector('td[colspan]'))
+            .map(tr => {
+                const cells = tr.querySelectorAll('td');
+                const row = {};
+                headers.forEach((header, index) => {
+                    row[header] = cells[index] ? getCellValue(cells[index]) : "";
+                });
+                return row;
+            });
+        return { headers, rows };
+    }
+
+    /**
+     * Exports the #data-table content in the format picked next to the Export button.
+     */
+    function exportOriginalTableData() {
+        if (!doc.getElementById('data-table')) {
+            console.error("Table 'data-table' not found.");
+            return;
+        }
+        const { headers, rows } = readTableData('data-table');
+        const format = doc.getElementById('export-format').value;
+
+        if (format === 'json') {
+            const blob = new Blob([JSON.stringify(rows, null, 2)], { type: 'application/json' });
+            downloadBlob(blob, getExportFileName('original', 'json'));
+        } else if (format === 'xlsx') {
+            const blob = new Blob([XlsxWriter.write(getWorkOrderNumber(), headers, rows)], {
+                type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+            });
+            downloadBlob(blob, getExportFileName('original', 'xlsx'));
+        } else {
+            const delimiter = doc.getElementById('export-delimiter').value;
+            const content = CSVWriter.write(headers, rows, delimiter === 'tab' ? '\t' : delimiter);
+            downloadBlob(new Blob([content], { type: 'text/csv;charset=utf-8;' }), getExportFileName('original', 'csv'));
+        }
     }
 
     /**
-     * Re-displays the original table data inside the new window if needed.
-     * @param {Array<Object>} data - Array of row objects to display.
+     * Report of the four comparison result tables, read from the comparison window as currently
+     * shown (including rows validated by hand), for attaching to QA records.
      */
-    function displayOriginalTableData(data) {
-        const tbody = doc.querySelector('#data-table tbody');
+    const ComparisonReport = {
+        FIELDS: ["Check Description", "Task Status", "Technician Comments", "Manual Reference", "Check ID"],
+        MISMATCHES: "Mismatched Fields",
+
+        /**
+         * @returns {{workOrder: string, generatedAt: Date, summary: Array<{title: string, count: number}>,
+         *     sections: Array<{title: string, headers: Array<string>, rows: Array<Object>}>}}
+         */
+        collect() {
+            const sections = [
+                this.collectDifferences(),
+                this.collectTable('Rows Not Found in Cloud', 'missing-rows-cloud-table'),
+                this.collectTable('Rows Not Found in File', 'missing-rows-file-table'),
+                this.collectTable('Matching Rows', 'matching-table')
+            ];
+            return {
+                workOrder: getWorkOrderNumber(),
+                generatedAt: new Date(),
+                summary: sections.map(section => ({
+                    title: section.title,
+                    // Differences come in File/Cloud pairs
+                    count: section.title === 'Rows with Differences' ? section.rows.length / 2 : section.rows.length
+                })),
+                sections
+            };
+        },
 
-        if (data && data.length > 0) {
-            const count = data.length;
-            updateOriginalDataCount(count);
+        /**
+         * @param {string} title - Section title.
+         * @param {string} tableId - ID of the result table.
+         * @returns {{title: string, headers: Array<string>, rows: Array<Object>}}
+         */
+        collectTable(title, tableId) {
+            const rows = Array.from(doc.querySelectorAll(`#${tableId} tbody tr`))
+                .filter(tr => !tr.querySelector('td[colspan]'))
+                .map(tr => {
+                    const row = {};
+                    this.FIELDS.forEach((field, index) => {
+                        row[field] = tr.cells[index] ? getCellValue(tr.cells[index]) : "";
+                    });
+                    return row;
+                });
+            return { title, headers: this.FIELDS, rows };
+        },
+
+        /**
+         * Reads the Differences table as File/Cloud row pairs, listing the fields that differ.
+         * @returns {{title: string, headers: Array<string>, rows: Array<Object>}}
+         */
+        collectDifferences() {
+            const rows = [];
+            let fileRow = null;
+            doc.querySelectorAll('#differences-table tbody tr[data-source]').forEach(tr => {
+                const row = { Source: tr.dataset.source === 'file' ? 'File' : 'Cloud' };
+                this.FIELDS.forEach((field, index) => {
+                    row[field] = getCellValue(tr.cells[index]);
+                });
+                const confidence = tr.querySelector('.confidence');
+                row.Confidence = confidence ? confidence.textContent.trim() : "";
+
+                if (tr.dataset.source === 'file') {
+                    fileRow = row;
+                    return;
+                }
+                if (fileRow) {
+                    const compact = value => value.replace(/\s+/g, ' ').trim();
+                    const mismatches = this.FIELDS.filter(field => compact(fileRow[field]) !== compact(row[field]));
+                    fileRow[this.MISMATCHES] = row[this.MISMATCHES] = mismatches;
+                    rows.push(fileRow, row);
+                    fileRow = null;
+                }
+            });
+            return { title: 'Rows with Differences', headers: ['Source', ...this.FIELDS, 'Confidence'], rows };
+        },
+
+        /**
+         * @param {Object} report - Report returned by collect().
+         * @returns {string} - A standalone HTML document.
+         */
+        toHTML(report) {
+            const cellStyle = 'border: 1px solid #ccc; padding: 4px 6px; vertical-align: top;';
+            const sectionsHTML = report.sections.map(section => {
+                const rowsHTML = section.rows.map((row, index) => {
+                    // Separate the File/Cloud pairs of the Differences section
+                    const pairEnd = row.Source === 'Cloud' && index < section.rows.length - 1;
+                    return `
+                    <tr${pairEnd ? ' style="border-bottom: 2px solid #888;"' : ''}>
+                        ${section.headers.map(header => {
+                            const mismatch = (row[this.MISMATCHES] || []).includes(header);
+                            return `<td style="${cellStyle}${mismatch ? ' background: #FFEBEE; color: #C62828; font-weight: bold;' : ''}"
+                                ${mismatch ? 'title="Differs between File and Cloud"' : ''}>${escapeHTML(row[header])}</td>`;
+                        }).join('')}
+                    </tr>`;
+                }).join('');
+
+                return `
+                    <h2>${escapeHTML(section.title)}</h2>
+                    ${section.rows.length === 0 ? '<p>None.</p>' : `
+                    <table style="border-collapse: collapse; width: 100%; font-size: 13px;">
+                        <thead>
+                            <tr>${section.headers.map(header => `<th style="${cellStyle} background: #D7F2F9; text-align: left;">${escapeHTML(header)}</th>`).join('')}</tr>
+                        </thead>
+                        <tbody>${rowsHTML}</tbody>
+                    </table>`}
+                `;
+            }).join('');
+
+            return `<!DOCTYPE html>
+                <html>
+                <head>
+                    <meta charset="UTF-8">
+                    <title>Comparison report ${escapeHTML(report.workOrder)}</title>
+                </head>
+                <body style="font-family: Arial, sans-serif; margin: 20px;">
+                    <h1>Comparison report ${escapeHTML(report.workOrder)}</h1>
+                    <p>Generated ${escapeHTML(report.generatedAt.toLocaleString())}</p>
+                    <table style="border-collapse: collapse; font-size: 13px;">
+                        ${report.summary.map(item => `
+                        <tr>
+                            <td style="${cellStyle}">${escapeHTML(item.title)}</td>
+                            <td style="${cellStyle} text-align: right;">${item.count}</td>
+                        </tr>`).join('')}
+                    </table>
+                    <p>Fields that differ between File and Cloud are marked in red.</p>
+                    ${sectionsHTML}
+                </body>
+                </html>`;
+        },
+
+        /**
+         * @param {Object} report - Report returned by collect().
+         * @param {string} delimiter - One of CSVReader.DELIMITERS.
+         * @returns {string} - CSV with a summary block and one block per section, separated by empty lines.
+         */
+        toCSV(report, delimiter) {
+            const lines = [
+                CSVWriter.formatLine(['Comparison report', report.workOrder], delimiter),
+                CSVWriter.formatLine(['Generated', report.generatedAt.toLocaleString()], delimiter),
+                ...report.summary.map(item => CSVWriter.formatLine([item.title, item.count], delimiter))
+            ];
+
+            report.sections.forEach(section => {
+                const isDifferences = section.headers.includes('Source');
+                const headers = isDifferences ? [...section.headers, this.MISMATCHES] : section.headers;
+                const rows = section.rows.map(row =>
+                    isDifferences ? { ...row, [this.MISMATCHES]: row[this.MISMATCHES].join(', ') } : row);
+
+                lines.push('', CSVWriter.formatLine([section.title], delimiter));
+                lines.push(...CSVWriter.formatLines(headers, rows, delimiter));
+            });
+
+            return CSVWriter.BOM + lines.join('\r\n') + '\r\n';
         }
-    }
+    };
 
     /**
-     * Saves the #data-table content as a CSV file.
+     * Downloads the comparison report in the format picked next to the Export report button.
      */
-    function saveTableAsCSV() {
-        const table = doc.getElementById('data-table');
-        if (!table) {
-            console.error("Table 'data-table' not found.");
-            return;
+    function exportComparisonReport() {
+        const report = ComparisonReport.collect();
+
+        if (doc.getElementById('report-format').value === 'csv') {
+            const delimiter = doc.getElementById('export-delimiter').value;
+            const content = ComparisonReport.toCSV(report, delimiter === 'tab' ? '\t' : delimiter);
+            downloadBlob(new Blob([content], { type: 'text/csv;charset=utf-8;' }), getExportFileName('report', 'csv'));
+        } else {
+            const blob = new Blob([ComparisonReport.toHTML(report)], { type: 'text/html;charset=utf-8' });
+            downloadBlob(blob, getExportFileName('report', 'html'));
         }
-        const rows = table.querySelectorAll('tr');
-        const csvContent = Array.from(rows)
-            .map(row =>
-                Array.from(row.querySelectorAll('th, td'))
-                    .map(cell => '"' + cell.textContent.trim().replace(/"/g, '""') + '"')
-                    .join(',')
-            )
-            .join('\n');
-
-        const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-        const link = doc.createElement('a');
-        link.href = URL.createObjectURL(blob);
-        link.download = 'table_data.csv';
-        link.style.display = 'none';
-        doc.body.appendChild(link);
-        link.click();
-        doc.body.removeChild(link);
     }
 
     /**
@@ -1453,7 +5062,10 @@
             });
         });
 
-        doc.addEventListener('mousemove', function (e) {
+        // The real document, also in the docked panel, so a drag ending outside the table is still seen
+        const ownerDocument = table.ownerDocument;
+
+        ownerDocument.addEventListener('mousemove', function (e) {
             if (!isResizing || !currentHeader || !nextHeader) return;
 
             const dx = e.clientX - startX;
@@ -1476,7 +5088,7 @@
             nextHeader.style.width = newNextWidth + 'px';
         });
 
-        doc.addEventListener('mouseup', function () {
+        ownerDocument.addEventListener('mouseup', function () {
             if (isResizing) {
                 isResizing = false;
                 doc.body.style.cursor = 'default';
@@ -1503,7 +5115,7 @@
                 const fileRow = rows[i];
                 const cloudRow = rows[i + 1];
                 if (fileRow && cloudRow) {
-                    pairedRows.push([fileRow, cloudRow]);
+                    pairedRows.push([fileRow, cloudRow, rows[i + 2]]);
                 }
             }
 
@@ -1513,8 +5125,8 @@
 
             // Sort pairs based on the value in the File row
             pairedRows.sort((pairA, pairB) => {
-                const aText = pairA[0].children[keyIndex].textContent.trim();
-                const bText = pairB[0].children[keyIndex].textContent.trim();
+                const aText = getCellValue(pairA[0].children[keyIndex]);
+                const bText = getCellValue(pairB[0].children[keyIndex]);
 
                 const aNum = parseFloat(aText);
                 const bNum = parseFloat(bText);
@@ -1527,10 +5139,8 @@
 
             tbody.innerHTML = '';
             pairedRows.forEach(pair => {
-                pair.forEach(row => tbody.appendChild(row));
-                const separator = document.createElement('tr');
-                separator.innerHTML = '<td colspan="6" style="border-bottom: 2px solid #ccc"></td>';
-                tbody.appendChild(separator);
+                // The separator is kept with its pair, so resolving the pair removes it as well
+                pair.filter(Boolean).forEach(row => tbody.appendChild(row));
             });
         } else {
             // Regular sorting for other tables
@@ -1543,8 +5153,8 @@
 
             // Sort rows
             rows.sort((a, b) => {
-                const aText = a.children[keyIndex].textContent.trim();
-                const bText = b.children[keyIndex].textContent.trim();
+                const aText = getCellValue(a.children[keyIndex]);
+                const bText = getCellValue(b.children[keyIndex]);
 
                 // Compare as numbers or strings
                 const aNum = parseFloat(aText);
@@ -1603,43 +5213,48 @@
             return;
         }
         const fileInput = doc.getElementById('file-input');
+        const sheetSelect = doc.getElementById('sheet-select');
         const saveButton = doc.getElementById('save-button');
         const copyDataButton = doc.getElementById('copy-data-button');
+        const confirmCopyButton = doc.getElementById('confirm-copy-button');
+        const cancelPreviewButton = doc.getElementById('cancel-preview-button');
 
         // File input handler
         if (fileInput) {
             fileInput.addEventListener('change', handleFileUpload);
         }
+        // Sheet picker handler (.xlsx uploads)
+        if (sheetSelect) {
+            sheetSelect.addEventListener('change', handleSheetChange);
+        }
         // Save button handler
         if (saveButton) {
-            saveButton.addEventListener('click', saveTableAsCSV);
+            saveButton.addEventListener('click', exportOriginalTableData);
         }
-        // Copy data button handler
+        // The delimiter only applies to CSV exports
+        const exportFormat = doc.getElementById('export-format');
+        exportFormat.addEventListener('change', () => {
+            doc.getElementById('export-delimiter').classList.toggle('hidden', exportFormat.value !== 'csv');
+        });
+        // Copy data button handler: nothing is sent before the preview is confirmed
         if (copyDataButton) {
             copyDataButton.addEventListener('click', function () {
                 if (StateManager.currentState !== StateManager.States.WINDOW_OPEN) {
                     return; // Copying is only possible in WINDOW_OPEN state
                 }
 
-                StateManager.setState(StateManager.States.COPYING);
-
-                const matchingTable = doc.getElementById('matching-table');
-                if (!matchingTable) {
-                    console.error('Matching table not found');
+                showCopyPreview();
+            });
+        }
+        if (confirmCopyButton) {
+            confirmCopyButton.addEventListener('click', function () {
+                if (StateManager.currentState !== StateManager.States.WINDOW_OPEN || !pendingCopyRows) {
                     return;
                 }
 
-                const rows = matchingTable.querySelectorAll('tbody tr');
-                const matchingData = Array.from(rows).map(row => {
-                    const cells = row.querySelectorAll('td');
-                    return {
-                        "Check Description": cells[0].textContent.trim(),
-                        "Task Status": cells[1].textContent.trim(),
-                        "Technician Comments": cells[2].textContent.trim(),
-                        "Manual Reference": cells[3].textContent.trim(),
-                        "Check ID": cells[4].textContent.trim()
-                    };
-                });
+                StateManager.setState(StateManager.States.COPYING);
+                const matchingData = pendingCopyRows;
+                hideCopyPreview();
 
                 // Send data back to the parent window
                 try {
@@ -1656,6 +5271,73 @@
                 }
             });
         }
+        if (cancelPreviewButton) {
+            cancelPreviewButton.addEventListener('click', hideCopyPreview);
+        }
+        // Matching Rows stay editable while the preview is open: rebuild it on every edit, exclusion
+        // or send-back, so Confirm sends the rows as they are now
+        const matchingTable = doc.getElementById('matching-table');
+        const refreshCopyPreview = () => {
+            if (pendingCopyRows) {
+                showCopyPreview(false);
+            }
+        };
+        matchingTable.addEventListener('input', refreshCopyPreview);
+        matchingTable.addEventListener('change', refreshCopyPreview);
+        new MutationObserver(refreshCopyPreview).observe(matchingTable.querySelector('tbody'), { childList: true });
+
+        doc.getElementById('export-report-button').addEventListener('click', exportComparisonReport);
+        doc.getElementById('resolve-differences-button').addEventListener('click', resolveAllDifferences);
+
+        // Search and filter across all comparison tables
+        // The filter of a previous comparison window does not carry over to the new, empty filter bar
+        TableFilter.reset();
+        renderFilterChips();
+        TableFilter.observe();
+        doc.getElementById('filter-text').addEventListener('input', updateTableFilter);
+        doc.getElementById('filter-check-id').addEventListener('input', updateTableFilter);
+        doc.getElementById('filter-bar').addEventListener('click', event => {
+            if (event.target.classList.contains('chip')) {
+                event.target.classList.toggle('active');
+                updateTableFilter();
+            }
+        });
+        doc.getElementById('clear-filter-button').addEventListener('click', clearTableFilter);
+
+        // Bulk status assignment in Rows Not Found in File; only rows left visible by the filter are selected
+        doc.getElementById('select-all-missing-file').addEventListener('change', function () {
+            doc.querySelectorAll('#missing-rows-file-table tbody tr:not(.filtered-out) .row-select').forEach(checkbox => {
+                checkbox.checked = this.checked;
+            });
+            updateBulkBar();
+        });
+        doc.getElementById('bulk-apply-button').addEventListener('click', applyBulkValues);
+        doc.getElementById('bulk-validate-button').addEventListener('click', validateSelectedMissingFileRows);
+
+        // Checklist templates
+        refreshTemplateList();
+        doc.getElementById('apply-template-button').addEventListener('click', applyTemplate);
+        doc.getElementById('delete-template-button').addEventListener('click', deleteTemplate);
+        doc.getElementById('save-template-button').addEventListener('click', saveTemplate);
+        doc.getElementById('export-templates-button').addEventListener('click', exportTemplates);
+        doc.getElementById('import-templates-button').addEventListener('click', () => {
+            doc.getElementById('import-templates-input').click();
+        });
+        doc.getElementById('import-templates-input').addEventListener('change', importTemplates);
+
+        // Task Status alias editor
+        renderStatusAliases(StatusAliases.load());
+        doc.getElementById('add-alias-button').addEventListener('click', () => addStatusAliasRow());
+        doc.getElementById('save-aliases-button').addEventListener('click', saveStatusAliases);
+        doc.getElementById('reset-aliases-button').addEventListener('click', () => {
+            renderStatusAliases(StatusAliases.DEFAULTS);
+            saveStatusAliases();
+        });
+        doc.querySelector('#status-aliases-table tbody').addEventListener('click', event => {
+            if (event.target.classList.contains('alias-remove')) {
+                event.target.closest('tr').remove();
+            }
+        });
 
         // Enable column resizing on relevant tables
         [
@@ -1684,22 +5366,19 @@
                     if (StateManager.currentState !== StateManager.States.COPYING) {
                         return;
                     }
-                    TARGET_ROWS = event.data.data.map(row => ({
-                        checkDescription: row["Check Description"],
-                        manualReference: row["Manual Reference"],
-                        checkID: row["Check ID"],
-                        taskStatus: row["Task Status"],
-                        technicianComments: row["Technician Comments"]
-                    }));
+                    TARGET_ROWS = event.data.data.map(toTargetRow);
 
-                    processRowsWithData(TARGET_ROWS);
+                    processRowsWithData(TARGET_ROWS, { saveSnapshot: true });
                     break;
 
                 case 'windowClosed':
                     console.log(">>>close");
                     if (
                         (StateManager.currentState !== StateManager.States.ERROR) &&
-                        (StateManager.currentState !== StateManager.States.IDLE)
+                        (StateManager.currentState !== StateManager.States.IDLE) &&
+                        // A running fill leaves FILLING/PAUSED by itself
+                        (StateManager.currentState !== StateManager.States.FILLING) &&
+                        (StateManager.currentState !== StateManager.States.PAUSED)
                     ) {
                         StateManager.setState(StateManager.States.IDLE);
                     }
@@ -1718,68 +5397,704 @@
     });
 
 
+    /**
+     * Pause, resume and cancel requests for the fill loop. The loop only stops at checkpoint(),
+     * which it awaits between rows, so a row is never left half-filled.
+     */
+    const FillControl = {
+        paused: false,
+        cancelled: false,
+        resumeWaiter: null,
+
+        reset() {
+            this.paused = false;
+            this.cancelled = false;
+            this.resumeWaiter = null;
+        },
+
+        pause() {
+            if (!this.cancelled) {
+                this.paused = true;
+            }
+        },
+
+        resume() {
+            this.paused = false;
+            if (this.resumeWaiter) {
+                this.resumeWaiter();
+                this.resumeWaiter = null;
+            }
+        },
+
+        cancel() {
+            this.cancelled = true;
+            this.resume();
+        },
+
+        /**
+         * Waits here while the fill is paused.
+         * @returns {Promise<boolean>} - false when the fill was cancelled and the loop must stop.
+         */
+        async checkpoint() {
+            if (this.paused && !this.cancelled) {
+                StateManager.setState(StateManager.States.PAUSED);
+                await new Promise(resolve => {
+                    this.resumeWaiter = resolve;
+                });
+                if (!this.cancelled) {
+                    StateManager.setState(StateManager.States.FILLING);
+                }
+            }
+            return !this.cancelled;
+        }
+    };
+
+    // Shared look of the overlay panels shown on the CLM page
+    const OVERLAY_PANEL_STYLE = [
+        'position: fixed', 'top: 50px', 'right: 20px', 'padding: 12px 16px',
+        'background: #fff', 'border: 1px solid #5cc2fc', 'border-radius: 5px',
+        'box-shadow: 0 2px 8px rgba(0,0,0,0.3)', 'z-index: 10000',
+        'font-family: Arial, sans-serif', 'font-size: 13px', 'color: #000'
+    ].join(';');
+
+    /**
+     * Overlay on the CLM page showing fill progress, with Pause/Resume and Cancel buttons.
+     */
+    const ProgressPanel = {
+        panel: null,
+
+        show() {
+            this.hide();
+
+            const panel = document.createElement('div');
+            panel.id = 'fillProgressPanel';
+            panel.style.cssText = `${OVERLAY_PANEL_STYLE}; width: 320px;`;
+            panel.innerHTML = `
+                <div style="font-weight: bold; margin-bottom: 8px;">Filling rows</div>
+                <div style="height: 10px; background: #E0E0E0; border-radius: 5px; overflow: hidden;">
+                    <div class="fill-progress-bar" style="height: 100%; width: 0; background: #2196F3; transition: width 0.2s;"></div>
+                </div>
+                <div class="fill-progress-count" style="margin-top: 6px;">0 / 0</div>
+                <div class="fill-progress-status" style="margin-top: 4px; color: #555; white-space: nowrap; overflow: hidden; text-overflow: ellipsis;"></div>
+                <div style="margin-top: 10px; display: flex; gap: 8px; justify-content: flex-end;">
+                    <button class="fill-progress-pause" style="padding: 4px 12px; cursor: pointer;">Pause</button>
+                    <button class="fill-progress-cancel" style="padding: 4px 12px; cursor: pointer;">Cancel</button>
+                </div>
+            `;
+
+            const pauseButton = panel.querySelector('.fill-progress-pause');
+            const cancelButton = panel.querySelector('.fill-progress-cancel');
+            pauseButton.addEventListener('click', () => {
+                if (FillControl.paused) {
+                    FillControl.resume();
+                } else {
+                    FillControl.pause();
+                    // The loop pauses at the next row boundary
+                    pauseButton.textContent = 'Pausing...';
+                    pauseButton.disabled = true;
+                }
+            });
+            cancelButton.addEventListener('click', () => {
+                FillControl.cancel();
+                cancelButton.textContent = 'Cancelling...';
+                cancelButton.disabled = true;
+                pauseButton.disabled = true;
+            });
+
+            document.body.appendChild(panel);
+            this.panel = panel;
+        },
+
+        /**
+         * Updates the counters from StateManager.updateProgress.
+         * @param {{current: number, total: number, status: string}} progress
+         */
+        update({ current, total, status }) {
+            if (!this.panel) return;
+
+            const percent = total > 0 ? Math.round((current / total) * 100) : 0;
+            this.panel.querySelector('.fill-progress-bar').style.width = `${percent}%`;
+            this.panel.querySelector('.fill-progress-count').textContent = `${current} / ${total}`;
+            const statusElement = this.panel.querySelector('.fill-progress-status');
+            statusElement.textContent = status;
+            statusElement.title = status;
+        },
+
+        /**
+         * Reflects FILLING/PAUSED in the Pause/Resume button.
+         * @param {string} state - The new StateManager state.
+         */
+        updateState(state) {
+            if (!this.panel || FillControl.cancelled) return;
+
+            const pauseButton = this.panel.querySelector('.fill-progress-pause');
+            if (state === StateManager.States.PAUSED) {
+                pauseButton.textContent = 'Resume';
+                pauseButton.disabled = false;
+            } else if (state === StateManager.States.FILLING) {
+                pauseButton.textContent = 'Pause';
+                pauseButton.disabled = false;
+            }
+        },
+
+        hide() {
+            if (this.panel) {
+                this.panel.remove();
+                this.panel = null;
+            }
+        }
+    };
+
+    /**
+     * Overlay on the CLM page listing the rows whose values did not stick after a fill,
+     * with a button to fill just those rows again.
+     */
+    const VerificationReport = {
+        panel: null,
+
+        /**
+         * @param {Array<Object>} targets - The rows that were filled.
+         * @param {Array<{target: Object, field: string, expected: string, actual: string, step?: string}>} failures - Rows that
+         *        failed verification; step is set when a fill step failed (actual then holds the error).
+         * @param {{edited: number, skipped: number}} stats - Edits made and unchanged fields skipped by the fill.
+         * @param {Object} options - Options the fill ran with, reused when retrying.
+         */
+        show(targets, failures, stats, options) {
+            this.hide();
+
+            const panel = document.createElement('div');
+            panel.id = 'fillVerificationReport';
+            panel.style.cssText = `${OVERLAY_PANEL_STYLE}; width: 560px; max-height: 70vh; overflow: auto;`;
+
+            const failedTargets = [...new Set(failures.map(failure => failure.target))];
+            const cellStyle = 'border: 1px solid #E0E0E0; padding: 3px 5px; vertical-align: top;';
+            const failureRows = failures.map(failure => `
+                <tr>
+                    <td style="${cellStyle}">${escapeHTML(failure.target.checkID)}</td>
+                    <td style="${cellStyle}">${escapeHTML(failure.target.checkDescription)}</td>
+                    <td style="${cellStyle}">${escapeHTML(failure.field)}</td>
+                    <td style="${cellStyle}">${escapeHTML(failure.expected)}</td>
+                    <td style="${cellStyle} color: #C62828;">${failure.step ? '<b>Step failed</b> ' : ''}${escapeHTML(failure.actual)}</td>
+                </tr>
+            `).join('');
+
+            panel.innerHTML = `
+                <div style="font-weight: bold; margin-bottom: 8px;">Fill verification</div>
+                <div style="margin-bottom: 8px;">
+                    ${failedTargets.length === 0
+                        ? `All ${targets.length} rows verified.`
+                        : `${failedTargets.length} of ${targets.length} rows failed verification.`}
+                    ${stats.edited} fields edited, ${stats.skipped} unchanged fields skipped.
+                </div>
+                ${failures.length === 0 ? '' : `
+                    <table style="border-collapse: collapse; width: 100%; font-size: 12px;">
+                        <thead>
+                            <tr style="background: #D7F2F9;">
+                                <th style="${cellStyle}">Check ID</th>
+                                <th style="${cellStyle}">Check Description</th>
+                                <th style="${cellStyle}">Field</th>
+                                <th style="${cellStyle}">Expected</th>
+                                <th style="${cellStyle}">Actual</th>
+                            </tr>
+                        </thead>
+                        <tbody>${failureRows}</tbody>
+                    </table>
+                `}
+                <div style="margin-top: 10px; display: flex; gap: 8px; justify-content: flex-end;">
+                    ${failures.length === 0 ? '' : '<button class="verification-retry" style="padding: 4px 12px; cursor: pointer;">Retry failed rows</button>'}
+                    <button class="verification-close" style="padding: 4px 12px; cursor: pointer;">Close</button>
+                </div>
+            `;
+
+            panel.querySelector('.verification-close').addEventListener('click', () => this.hide());
+            const retryButton = panel.querySelector('.verification-retry');
+            if (retryButton) {
+                retryButton.addEventListener('click', () => {
+                    if (StateManager.currentState !== StateManager.States.IDLE) {
+                        alert(messages.operationBusy);
+                        return;
+                    }
+                    this.hide();
+                    processRowsWithData(failedTargets, { ...options, saveSnapshot: false });
+                });
+            }
+
+            document.body.appendChild(panel);
+            this.panel = panel;
+        },
+
+        hide() {
+            if (this.panel) {
+                this.panel.remove();
+                this.panel = null;
+            }
+        }
+    };
+
+    /**
+     * Persistent record of every cell edit made on the CLM page, kept in the script's IndexedDB
+     * database so it can be shown how a debrief was filled.
+     */
+    const AuditLog = {
+        STORE: 'auditLog',
+        HEADERS: ["Timestamp", "Work Order", "Check ID", "Check Description", "Field", "Old Value", "New Value", "Outcome"],
+
+        /**
+         * Runs a cell edit and records it with the value the cell held before and its outcome.
+         * A failing log write is only reported to the console, it never stops the fill.
+         * @param {HTMLElement} cell - Grid cell being edited.
+         * @param {string} field - Column caption.
+         * @param {string} value - New value.
+         * @param {Object|null} target - Target row being filled.
+         * @param {function(): Promise<void>} action - The edit.
+         */
+        async track(cell, field, value, target, action) {
+            const entry = {
+                workOrder: getWorkOrderNumber(),
+                checkID: target ? target.checkID : '',
+                checkDescription: target ? target.checkDescription : '',
+                field,
+                oldValue: cell.textContent.trim(),
+                newValue: value || '',
+                timestamp: new Date().toISOString(),
+                outcome: 'success'
+            };
+
+            try {
+                await action();
+            } catch (error) {
+                entry.outcome = `failed: ${error.message}`;
+                throw error;
+            } finally {
+                LocalDatabase.put(this.STORE, entry)
+                    .catch(error => console.warn('Failed to write the audit log:', error));
+            }
+        },
+
+        /**
+         * @param {string} [workOrder] - Work Order to list; all Work Orders when omitted.
+         * @returns {Promise<Array<Object>>} - Entries, oldest first.
+         */
+        list(workOrder) {
+            return workOrder
+                ? LocalDatabase.getAllByIndex(this.STORE, 'workOrder', workOrder)
+                : LocalDatabase.getAll(this.STORE);
+        },
+
+        /**
+         * @param {Object} entry - Audit log entry.
+         * @returns {Object} - The entry keyed by HEADERS.
+         */
+        toRow(entry) {
+            return {
+                "Timestamp": entry.timestamp,
+                "Work Order": entry.workOrder,
+                "Check ID": entry.checkID,
+                "Check Description": entry.checkDescription,
+                "Field": entry.field,
+                "Old Value": entry.oldValue,
+                "New Value": entry.newValue,
+                "Outcome": entry.outcome
+            };
+        },
+
+        /**
+         * Downloads entries from the CLM page.
+         * @param {Array<Object>} entries - Audit log entries.
+         * @param {string} format - 'csv' or 'json'.
+         */
+        export(entries, format) {
+            if (format === 'json') {
+                const blob = new Blob([JSON.stringify(entries, null, 2)], { type: 'application/json' });
+                downloadBlob(blob, getExportFileName('audit', 'json'), document);
+            } else {
+                const content = CSVWriter.write(this.HEADERS, entries.map(entry => this.toRow(entry)), ',');
+                downloadBlob(new Blob([content], { type: 'text/csv;charset=utf-8;' }), getExportFileName('audit', 'csv'), document);
+            }
+        }
+    };
+
+    /**
+     * Overlay on the CLM page listing the audit log of this Work Order, newest edit first.
+     */
+    const AuditLogPanel = {
+        panel: null,
+
+        toggle() {
+            if (this.panel) {
+                this.hide();
+            } else {
+                this.show();
+            }
+        },
+
+        async show() {
+            this.hide();
+
+            // Shown while loading, so toggle() closes it instead of opening a second panel
+            const panel = document.createElement('div');
+            panel.id = 'auditLogPanel';
+            panel.style.cssText = `${OVERLAY_PANEL_STYLE}; width: 720px; max-height: 70vh; overflow: auto;`;
+            panel.textContent = 'Loading the audit log...';
+            document.body.appendChild(panel);
+            this.panel = panel;
+
+            let entries;
+            try {
+                entries = await AuditLog.list(getWorkOrderNumber());
+            } catch (error) {
+                this.hide();
+                console.error('Error:', error.message);
+                alert(error.message);
+                return;
+            }
+            // Closed while loading
+            if (this.panel !== panel) {
+                return;
+            }
+
+            const cellStyle = 'border: 1px solid #E0E0E0; padding: 3px 5px; vertical-align: top;';
+            const entryRows = entries.slice().reverse().map(entry => `
+                <tr>
+                    <td style="${cellStyle} white-space: nowrap;">${escapeHTML(new Date(entry.timestamp).toLocaleString())}</td>
+                    <td style="${cellStyle}">${escapeHTML(entry.checkID)}</td>
+                    <td style="${cellStyle}">${escapeHTML(entry.field)}</td>
+                    <td style="${cellStyle}">${escapeHTML(entry.oldValue)}</td>
+                    <td style="${cellStyle}">${escapeHTML(entry.newValue)}</td>
+                    <td style="${cellStyle} ${entry.outcome === 'success' ? '' : 'color: #C62828;'}">${escapeHTML(entry.outcome)}</td>
+                </tr>
+            `).join('');
+
+            panel.innerHTML = `
+                <div style="font-weight: bold; margin-bottom: 8px;">Audit log ${escapeHTML(getWorkOrderNumber())}</div>
+                ${entries.length === 0 ? '<div>No edits recorded for this Work Order.</div>' : `
+                    <table style="border-collapse: collapse; width: 100%; font-size: 12px;">
+                        <thead>
+                            <tr style="background: #D7F2F9;">
+                                <th style="${cellStyle}">Time</th>
+                                <th style="${cellStyle}">Check ID</th>
+                                <th style="${cellStyle}">Field</th>
+                                <th style="${cellStyle}">Old value</th>
+                                <th style="${cellStyle}">New value</th>
+                                <th style="${cellStyle}">Outcome</th>
+                            </tr>
+                        </thead>
+                        <tbody>${entryRows}</tbody>
+                    </table>
+                `}
+                <div style="margin-top: 10px; display: flex; gap: 8px; justify-content: flex-end;">
+                    ${entries.length === 0 ? '' : `
+                        <button class="audit-export" data-format="csv" style="padding: 4px 12px; cursor: pointer;">Export CSV</button>
+                        <button class="audit-export" data-format="json" style="padding: 4px 12px; cursor: pointer;">Export JSON</button>
+                    `}
+                    <button class="audit-close" style="padding: 4px 12px; cursor: pointer;">Close</button>
+                </div>
+            `;
+
+            panel.querySelector('.audit-close').addEventListener('click', () => this.hide());
+            panel.querySelectorAll('.audit-export').forEach(button => {
+                button.addEventListener('click', () => AuditLog.export(entries, button.dataset.format));
+            });
+        },
+
+        hide() {
+            if (this.panel) {
+                this.panel.remove();
+                this.panel = null;
+            }
+        }
+    };
+
+    /**
+     * Converts a row object keyed by column caption to the target row format used by the fill loop.
+     * @param {Object} row - Row object keyed by column caption.
+     * @returns {Object} - Target row.
+     */
+    function toTargetRow(row) {
+        return {
+            checkDescription: row["Check Description"],
+            manualReference: row["Manual Reference"],
+            checkID: row["Check ID"],
+            taskStatus: row["Task Status"],
+            technicianComments: row["Technician Comments"]
+        };
+    }
+
+    /**
+     * Persists the grid values read before a fill, so they can be restored for this Work Order.
+     * @param {Array<Object>} rows - Grid rows (cloudData) as read before filling.
+     */
+    function saveSnapshot(rows) {
+        LocalStore.set(`snapshot.${getWorkOrderNumber()}`, {
+            savedAt: new Date().toISOString(),
+            rows
+        });
+        updateRestoreButton();
+    }
+
+    /**
+     * @returns {{savedAt: string, rows: Array<Object>}|null} - The snapshot saved for this Work Order.
+     */
+    function loadSnapshot() {
+        return LocalStore.get(`snapshot.${getWorkOrderNumber()}`);
+    }
+
+    /**
+     * Shows the "Restore previous values" button only when a snapshot exists for this Work Order.
+     */
+    function updateRestoreButton() {
+        const restoreButton = document.getElementById('restoreValuesButton');
+        if (restoreButton) {
+            restoreButton.style.display = loadSnapshot() ? '' : 'none';
+        }
+    }
+
+    /**
+     * Writes the values saved before the last fill back into the grid, using the regular fill path.
+     */
+    async function restoreSnapshot() {
+        const snapshot = loadSnapshot();
+        if (!snapshot || !snapshot.rows.length) {
+            alert(messages.noSnapshot);
+            return;
+        }
+        if (StateManager.currentState !== StateManager.States.IDLE) {
+            alert(messages.operationBusy);
+            return;
+        }
+
+        const savedAt = new Date(snapshot.savedAt).toLocaleString();
+        // Rows without a Task Status keep their current one; verifyFilledRows lists them if it is set
+        const emptyStatusCount = snapshot.rows.filter(row => !row["Task Status"]).length;
+        const emptyStatusNote = emptyStatusCount > 0
+            ? `\n\n${emptyStatusCount} rows had no Task Status. ${messages.statusNotRestorable}`
+            : '';
+        if (!confirm(`Restore Task Status and Technician Comments of ${snapshot.rows.length} rows to the values saved on ${savedAt}?${emptyStatusNote}`)) {
+            return;
+        }
+
+        // Restoring must also clear comments that were empty before the fill
+        await processRowsWithData(snapshot.rows.map(toTargetRow), { clearComments: true });
+    }
+
+    /**
+     * Decides which fields of a row a fill has to edit. A field is skipped when the grid already
+     * holds the target value, when the target Task Status is empty, and when the target comment is
+     * empty (so a file without comments never wipes existing ones) unless clearComments is set.
+     * @param {Object|undefined} current - Current grid values keyed by column caption, if known.
+     * @param {Object} target - Target row.
+     * @param {{clearComments?: boolean}} [options]
+     * @returns {{taskStatus: boolean, technicianComments: boolean}} - true for each field to edit.
+     */
+    function planFieldChanges(current, target, options = {}) {
+        const normalize = value => (value || "").replace(/\s+/g, ' ').trim();
+        const differs = (caption, value) => !current || normalize(current[caption]) !== normalize(value);
+
+        return {
+            taskStatus: !!target.taskStatus && differs("Task Status", target.taskStatus),
+            technicianComments: (!!target.technicianComments || !!options.clearComments) &&
+                differs("Technician Comments", target.technicianComments)
+        };
+    }
+
+    /**
+     * Builds the taskKey of a target row, matching the taskKey of its grid row.
+     * @param {Object} target - Target row (see toTargetRow).
+     * @returns {string}
+     */
+    function targetKey(target) {
+        return taskKey({
+            "Check Description": target.checkDescription,
+            "Manual Reference": target.manualReference,
+            "Check ID": target.checkID
+        });
+    }
+
+    /**
+     * Checks whether a grid row is the task a target row refers to.
+     * @param {Object} rowData - Row read with GridResolver.readRow.
+     * @param {Object} target - Target row (checkDescription, manualReference, checkID, ...).
+     * @returns {boolean}
+     */
+    function rowMatchesTarget(rowData, target) {
+        return !!rowData &&
+            rowData["Check Description"] === target.checkDescription &&
+            rowData["Manual Reference"] === target.manualReference &&
+            normalizeCheckID(rowData["Check ID"]) === normalizeCheckID(target.checkID);
+    }
+
+    /**
+     * Re-reads the filled rows from the grid and compares them with the requested values.
+     * Whitespace is ignored, as the grid renders line breaks of comments as markup.
+     * Fields the fill leaves alone by design (see planFieldChanges) are not checked, except that a
+     * restore (clearComments) reports a Task Status it could not clear as not restorable.
+     * @param {Array<Object>} targets - The rows that were filled.
+     * @param {{clearComments?: boolean}} [options] - The options the fill ran with.
+     * @returns {Promise<Array<{target: Object, field: string, expected: string, actual: string}>>} - One entry per failed field.
+     */
+    async function verifyFilledRows(targets, options = {}) {
+        const { view, columns } = GridResolver.resolve();
+        // Let the grid finish re-rendering the edited rows
+        await GridResolver.waitForRender(view);
+        const gridRows = await GridResolver.readAllRows(view, columns);
+        const compact = value => (value || "").replace(/\s+/g, '');
+        const failures = [];
+
+        targets.forEach(target => {
+            const rowData = gridRows.find(row => rowMatchesTarget(row, target));
+            if (!rowData) {
+                failures.push({ target, field: 'Row', expected: 'Present in grid', actual: 'Not found' });
+                return;
+            }
+            if (target.taskStatus && compact(rowData["Task Status"]) !== compact(target.taskStatus)) {
+                failures.push({ target, field: 'Task Status', expected: target.taskStatus, actual: rowData["Task Status"] });
+            }
+            if (!target.taskStatus && options.clearComments && compact(rowData["Task Status"])) {
+                failures.push({
+                    target,
+                    field: 'Task Status',
+                    expected: '(empty)',
+                    actual: `${rowData["Task Status"]} (${messages.statusNotRestorable})`
+                });
+            }
+            if ((target.technicianComments || options.clearComments) &&
+                compact(rowData["Technician Comments"]) !== compact(target.technicianComments)) {
+                failures.push({
+                    target,
+                    field: 'Technician Comments',
+                    expected: target.technicianComments,
+                    actual: rowData["Technician Comments"]
+                });
+            }
+        });
+
+        return failures;
+    }
+
     /**
      * Processes the rows that come from the child's matchingData message.
+     * Only cells whose value actually changes are edited (see planFieldChanges).
+     * Progress is shown in the ProgressPanel; the fill can be paused or cancelled between rows.
+     * Afterwards the rows are read back from the grid and a VerificationReport is shown.
      * @param {Array<Object>} targetRows - The array of rows to process and fill back in the parent window.
+     * @param {{saveSnapshot?: boolean, clearComments?: boolean}} [options] - saveSnapshot: persist the
+     *        pre-fill grid values first; clearComments: let empty target comments clear the cell.
      */
-    async function processRowsWithData(targetRows) {
+    async function processRowsWithData(targetRows, options = {}) {
         if (!StateManager.setState(StateManager.States.FILLING)) {
             return;
         }
 
+        if (options.saveSnapshot && gridRowsAsRead.length > 0) {
+            // The values read by processRows, before anything was changed
+            saveSnapshot(gridRowsAsRead);
+        }
+
+        FillControl.reset();
+        ProgressPanel.show();
+        VerificationReport.hide();
+
+        const attemptedRows = [];
+        const stepFailures = [];
+        const stats = { edited: 0, skipped: 0 };
+        let failures = null;
+
         try {
-            const table = document.getElementById("gridview-1080");
-            if (!table) {
-                throw new Error("Table with id 'gridview-1080' not found.");
-            }
+            const { view: table, columns } = GridResolver.resolve();
 
-            const allRows = table.querySelectorAll("tr.svmx-grid-row, tr.svmx-grid-row-alt");
-            if (!allRows.length) {
+            if (!table.querySelector(GridResolver.ROW_SELECTOR)) {
                 console.warn("No rows found in the table.");
                 return;
             }
 
-            for (let target of targetRows) {
-                let foundRow = null;
-
-                for (let row of allRows) {
-                    const cd = row.querySelector(`.${CLASS_CD}`)?.textContent.trim();
-                    const mr = row.querySelector(`.${CLASS_MR}`)?.textContent.trim();
-                    const cid = row.querySelector(`.${CLASS_CID}`)?.textContent.trim();
+            // Index the grid once, so a missing target does not cost a walk through the whole grid
+            const gridKeys = new Set((await GridResolver.readAllRows(table, columns)).map(taskKey));
 
-                    if (cd === target.checkDescription &&
-                        mr === target.manualReference &&
-                        cid === target.checkID) {
-                        foundRow = row;
-                        break;
-                    }
+            for (let index = 0; index < targetRows.length; index++) {
+                if (!await FillControl.checkpoint()) {
+                    console.log(`Row processing cancelled after ${index} of ${targetRows.length} rows.`);
+                    break;
                 }
 
+                const target = targetRows[index];
+                StateManager.updateProgress(index, targetRows.length, `${target.checkID} ${target.checkDescription}`);
+                attemptedRows.push(target);
+
+                // Scrolls or pages the grid until the row is rendered; rows not in the grid are not searched for
+                const foundRow = gridKeys.has(targetKey(target))
+                    && await GridResolver.findRow(table, columns, rowData => rowMatchesTarget(rowData, target));
                 if (!foundRow) {
                     console.warn(`Row not found: ${JSON.stringify(target)}`);
                     continue;
                 }
 
-                const cellTS = foundRow.querySelector(`.${CLASS_TS}`);
-                const cellTC = foundRow.querySelector(`.${CLASS_TC}`);
-
-                if (cellTS) {
-                    await setTaskStatus(cellTS, target.taskStatus);
+                const plan = planFieldChanges(GridResolver.readRow(foundRow, columns), target, options);
+
+                const edits = [
+                    { field: 'Task Status', planned: plan.taskStatus, value: target.taskStatus, apply: setTaskStatus },
+                    { field: 'Technician Comments', planned: plan.technicianComments, value: target.technicianComments, apply: setTechnicianComments }
+                ];
+                let row = foundRow;
+                for (const edit of edits) {
+                    if (!edit.planned) {
+                        stats.skipped++;
+                        continue;
+                    }
+                    // ExtJS re-renders the row after an edit, so the row and its cell are looked up again
+                    if (!row.isConnected) {
+                        row = await GridResolver.findRow(table, columns, rowData => rowMatchesTarget(rowData, target)) || row;
+                    }
+                    const cell = row.querySelector(columns[edit.field]);
+                    if (!cell) {
+                        // Reported as a failed step, not as an unchanged field
+                        stepFailures.push({ target, field: edit.field, expected: edit.value, actual: 'Cell not found', step: `Find ${edit.field} cell` });
+                        continue;
+                    }
+                    try {
+                        await edit.apply(cell, edit.value, target);
+                        stats.edited++;
+                    } catch (error) {
+                        if (!error.step) {
+                            throw error;
+                        }
+                        // A step that timed out fails this field only; the fill goes on with the next one
+                        console.error(`${target.checkID}: ${error.message}`);
+                        stepFailures.push({ target, field: edit.field, expected: edit.value, actual: error.message, step: error.step });
+                        // Close a half-open editor before the next step
+                        document.body.click();
+                    }
                 }
+            }
 
-                if (cellTC) {
-                    await setTechnicianComments(cellTC, target.technicianComments);
-                }
+            StateManager.updateProgress(attemptedRows.length, targetRows.length, 'Verifying filled rows...');
+            const verifyFailures = await verifyFilledRows(attemptedRows, options);
+            // A field whose step failed is reported by its step error, not again by the verification
+            failures = stepFailures.concat(verifyFailures.filter(failure => !stepFailures.some(stepFailure =>
+                stepFailure.target === failure.target && stepFailure.field === failure.field)));
+
+            if (!FillControl.cancelled) {
+                console.log(`Row processing completed: ${stats.edited} edits, ${stats.skipped} unchanged fields skipped.`);
+                // The grid now holds the filled values, so the saved comparison no longer applies
+                ComparisonSession.clear();
             }
-            console.log("Row processing completed.");
         } catch (error) {
             StateManager.handleError(error);
         } finally {
+            ProgressPanel.hide();
             if (!StateManager.hasError) {
-                if (comparisonWindow && !comparisonWindow.closed) {
-                    comparisonWindow.close();
+                if (FillControl.cancelled && comparisonWindow && !comparisonWindow.closed) {
+                    // Keep the comparison window so the copy can be adjusted and started again
+                    StateManager.setState(StateManager.States.WINDOW_OPEN);
+                    comparisonWindow.focus();
+                } else {
+                    if (comparisonWindow && !comparisonWindow.closed) {
+                        comparisonWindow.close();
+                    }
+                    StateManager.setState(StateManager.States.IDLE);
                 }
-                StateManager.setState(StateManager.States.IDLE);
+            }
+            if (failures) {
+                VerificationReport.show(attemptedRows, failures, stats, options);
             }
         }
     }